@@ -0,0 +1,308 @@
+// Postal address parsing into street, unit, city, region, postal code and country
+// Supports US-style addresses and the common UK, German/Austrian/Swiss, French,
+// Spanish, Italian and Dutch layouts.
+
+// Country names and codes we recognise, mapped to ISO 3166-1 alpha-2. The
+// codes CA and DE are also US state codes; see stateOrCountry.
+const COUNTRY_ALIASES = {
+  'us': 'US',
+  'usa': 'US',
+  'u.s.': 'US',
+  'u.s.a.': 'US',
+  'united states': 'US',
+  'united states of america': 'US',
+  'ca': 'CA',
+  'canada': 'CA',
+  'gb': 'GB',
+  'uk': 'GB',
+  'u.k.': 'GB',
+  'united kingdom': 'GB',
+  'great britain': 'GB',
+  'england': 'GB',
+  'scotland': 'GB',
+  'wales': 'GB',
+  'ie': 'IE',
+  'ireland': 'IE',
+  'de': 'DE',
+  'germany': 'DE',
+  'deutschland': 'DE',
+  'at': 'AT',
+  'austria': 'AT',
+  'österreich': 'AT',
+  'ch': 'CH',
+  'switzerland': 'CH',
+  'schweiz': 'CH',
+  'suisse': 'CH',
+  'fr': 'FR',
+  'france': 'FR',
+  'es': 'ES',
+  'spain': 'ES',
+  'españa': 'ES',
+  'it': 'IT',
+  'italy': 'IT',
+  'italia': 'IT',
+  'nl': 'NL',
+  'netherlands': 'NL',
+  'the netherlands': 'NL',
+  'nederland': 'NL',
+  'be': 'BE',
+  'belgium': 'BE',
+  'belgique': 'BE',
+  'belgië': 'BE',
+  'pt': 'PT',
+  'portugal': 'PT',
+  'pl': 'PL',
+  'poland': 'PL',
+  'polska': 'PL',
+  'ro': 'RO',
+  'romania': 'RO',
+  'românia': 'RO',
+  'se': 'SE',
+  'sweden': 'SE',
+  'dk': 'DK',
+  'denmark': 'DK',
+  'no': 'NO',
+  'norway': 'NO',
+  'au': 'AU',
+  'australia': 'AU',
+  'nz': 'NZ',
+  'new zealand': 'NZ'
+};
+
+// Country prefixes on continental postal codes, e.g. "D-10115", "A-1010"
+const POSTAL_PREFIX_COUNTRIES = {
+  A: 'AT',
+  B: 'BE',
+  CH: 'CH',
+  D: 'DE',
+  E: 'ES',
+  F: 'FR',
+  I: 'IT',
+  NL: 'NL',
+  P: 'PT'
+};
+
+const US_STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY', 'PR', 'VI', 'GU', 'AS', 'MP'
+]);
+
+// "Springfield, IL 62704" / "Springfield IL 62704-1234"
+const US_REGION_POSTAL_REGEX = /^(.*?)[\s,]*\b([A-Z]{2})\.?\s+(\d{5}(?:-\d{4})?)$/;
+// "London SW1A 2AA" / "SW1A 2AA"
+const UK_POSTCODE_REGEX = /^(.*?)[\s,]*\b([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})$/i;
+// "1012 LG Amsterdam"
+const NL_POSTAL_CITY_REGEX = /^(\d{4}\s?[A-Z]{2})\s+(\D.*)$/;
+// "10115 Berlin" / "D-10115 Berlin" / "75002 Paris" / "1010 Wien"
+const POSTAL_CITY_REGEX = /^(?:([A-Z]{1,2})-)?(\d{4,5})\s+(\D.*)$/;
+
+const UNIT_REGEX = /\b(?:Suite|Ste\.?|Unit|Apt\.?|Apartment|Floor|Fl\.?|Room|Rm\.?|Bldg\.?|Building)\s*#?\s*[\w-]+|#\s*\d+[\w-]*/i;
+const UNIT_ONLY_REGEX = new RegExp(`^(?:${UNIT_REGEX.source})$`, 'i');
+const STREET_SUFFIX_SPLIT_REGEX = /^(.*\b(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Court|Ct|Place|Pl|Highway|Hwy|Parkway|Pkwy|Circle|Cir|Terrace|Ter|Square|Sq|Trail|Trl|Pike)\.?(?:\s+(?:Suite|Ste\.?|Unit|Apt\.?|#)\s*#?\s*[\w-]+)?)\s+([A-Za-z][A-Za-z .'-]*)$/i;
+
+function emptyAddress(raw) {
+  return {
+    raw,
+    street: '',
+    unit: '',
+    city: '',
+    region: '',
+    postalCode: '',
+    country: ''
+  };
+}
+
+// Map a country name or code to its ISO code, or '' when it isn't one we know
+function matchCountry(text) {
+  const key = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return COUNTRY_ALIASES[key] || '';
+}
+
+// Read a trailing "CA" or "DE" part. Outside the US it is the country; in a US
+// address (or one of unknown country) it is the state, unless the rest of the
+// address has a non-US postal code ("10115 Berlin, DE"). Returns
+// { region } or { country }, or null when the part is neither.
+function stateOrCountry(part, otherParts, defaultCountry) {
+  if (US_STATES.has(part) && (!defaultCountry || defaultCountry === 'US')) {
+    const located = !defaultCountry && locatePostalCode(otherParts, '');
+    if (!located || located.country === 'US' || !matchCountry(part)) {
+      return { region: part };
+    }
+  }
+  const country = matchCountry(part);
+  return country ? { country } : null;
+}
+
+// Parse a free-text address. defaultCountry is used when the address itself
+// doesn't say which country it is in.
+function parseAddress(text, defaultCountry = '') {
+  const raw = String(text || '').replace(/\s+/g, ' ').trim();
+  const result = emptyAddress(raw);
+  if (!raw) return result;
+
+  const parts = raw.split(/\s*[,;\n]\s*/).filter(Boolean);
+
+  // Trailing state or country, either as its own part or (countries) glued to the last one
+  const trailingPart = parts.length > 1 && stateOrCountry(parts[parts.length - 1], parts.slice(0, -1), defaultCountry);
+  if (trailingPart) {
+    parts.pop();
+    Object.assign(result, trailingPart);
+  } else {
+    const trailing = parts[parts.length - 1].match(/^(.*\S)\s+(USA|U\.S\.A\.|United States|United Kingdom|UK|Germany|Deutschland|France|Spain|España|Italy|Italia|Netherlands|Nederland)$/i);
+    if (trailing) {
+      parts[parts.length - 1] = trailing[1];
+      result.country = matchCountry(trailing[2]);
+    }
+  }
+
+  const located = locatePostalCode(parts, result.country || defaultCountry);
+
+  let streetParts;
+  if (located) {
+    Object.assign(result, located.fields);
+    result.country = result.country || located.country || defaultCountry;
+
+    streetParts = parts.slice(0, located.index);
+    if (located.leadingText) {
+      if (located.fields.city) {
+        streetParts.push(located.leadingText);
+      } else {
+        // "123 Main Street Springfield IL 62704": street and city share one part
+        const split = located.leadingText.match(STREET_SUFFIX_SPLIT_REGEX);
+        if (split && streetParts.length === 0) {
+          streetParts.push(split[1]);
+          result.city = split[2].trim();
+        } else {
+          result.city = located.leadingText;
+        }
+      }
+    }
+
+    // "..., Springfield, IL 62704": the city is the part before the region
+    if (!result.city && streetParts.length > 1) {
+      result.city = streetParts.pop();
+    }
+  } else {
+    result.country = result.country || defaultCountry;
+    streetParts = parts.slice();
+    if (streetParts.length > 1) {
+      result.city = streetParts.pop();
+    }
+  }
+
+  Object.assign(result, splitUnit(streetParts));
+
+  return result;
+}
+
+// Pull the unit out of street lines: { street, unit }
+function splitUnit(streetParts) {
+  let unit = '';
+  const streetLines = [];
+  streetParts.forEach(part => {
+    if (!unit && UNIT_ONLY_REGEX.test(part)) {
+      unit = part;
+      return;
+    }
+    const unitMatch = !unit && part.match(UNIT_REGEX);
+    if (unitMatch && unitMatch.index > 0) {
+      unit = unitMatch[0].trim();
+      part = (part.slice(0, unitMatch.index) + part.slice(unitMatch.index + unitMatch[0].length)).replace(/\s+/g, ' ').trim();
+    }
+    if (part) {
+      streetLines.push(part);
+    }
+  });
+  return { street: streetLines.join(', '), unit };
+}
+
+// Find the part holding the postal code. Returns the part index, any text
+// before the postal code within that part, and the fields it yields.
+function locatePostalCode(parts, countryHint) {
+  for (let index = parts.length - 1; index >= 0; index--) {
+    const part = parts[index];
+    let match;
+
+    if ((!countryHint || countryHint === 'US') && (match = part.match(US_REGION_POSTAL_REGEX)) && US_STATES.has(match[2])) {
+      return {
+        index,
+        leadingText: match[1].trim(),
+        country: 'US',
+        fields: { region: match[2], postalCode: match[3] }
+      };
+    }
+
+    if ((!countryHint || ['GB', 'IE'].includes(countryHint)) && (match = part.match(UK_POSTCODE_REGEX))) {
+      return {
+        index,
+        leadingText: match[1].trim(),
+        country: 'GB',
+        fields: { postalCode: match[2].toUpperCase().replace(/\s*(\d[A-Z]{2})$/, ' $1') }
+      };
+    }
+
+    // The two letters after the digits are unambiguous, so whatever the hint
+    if ((match = part.match(NL_POSTAL_CITY_REGEX))) {
+      return {
+        index,
+        leadingText: '',
+        country: 'NL',
+        fields: { postalCode: match[1].replace(/\s/, ' '), city: match[2].trim() }
+      };
+    }
+
+    if ((match = part.match(POSTAL_CITY_REGEX))) {
+      return {
+        index,
+        leadingText: '',
+        country: match[1] ? (POSTAL_PREFIX_COUNTRIES[match[1]] || '') : '',
+        fields: { postalCode: match[2], city: match[3].trim() }
+      };
+    }
+  }
+
+  return null;
+}
+
+// Convert a schema.org PostalAddress (as produced by structured-data.js).
+// streetAddress only holds street lines ("123 Main St, Suite 4"), so none of
+// them is taken as the city. addressCountry is a country name we know or an
+// ISO code; defaultCountry is used when there is none.
+function fromPostalAddress(address, defaultCountry = '') {
+  const streetAddress = String(address.streetAddress || '').replace(/\s+/g, ' ').trim();
+  const parsedStreet = splitUnit(streetAddress.split(/\s*[,;\n]\s*/).filter(Boolean));
+  const countryText = String(address.addressCountry || '').trim();
+  const country = matchCountry(countryText) || (/^[a-z]{2}$/i.test(countryText) ? countryText.toUpperCase() : '');
+
+  return {
+    raw: formatAddress({
+      street: address.streetAddress,
+      city: address.addressLocality,
+      region: address.addressRegion,
+      postalCode: address.postalCode,
+      country: address.addressCountry
+    }),
+    street: parsedStreet.street || address.streetAddress || '',
+    unit: parsedStreet.unit,
+    city: address.addressLocality || '',
+    region: address.addressRegion || '',
+    postalCode: address.postalCode || '',
+    // A country name we don't know is left empty rather than guessed
+    country: countryText ? country : defaultCountry
+  };
+}
+
+function formatAddress(address) {
+  const street = [address.street, address.unit].filter(Boolean).join(', ');
+  const regionAndPostalCode = [address.region, address.postalCode].filter(Boolean).join(' ');
+  return [street, address.city, regionAndPostalCode, address.country].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  matchCountry,
+  parseAddress,
+  fromPostalAddress,
+  formatAddress
+};
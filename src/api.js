@@ -4,21 +4,121 @@ const fs = require("fs");
 const morgan = require("morgan");
 const cors = require("cors");
 const { client } = require("./elastic-client");
-const { mergeData } = require("./data-processor");
+const { COMPANY_PROFILES_FILE, mergeData, indexCompanies } = require("./data-processor");
+const { readRecords } = require("./record-stream");
 const { parse } = require("csv-parse/sync");
+const { inferDefaultRegion, toE164 } = require("./phone-utils");
+const { parseSocialHandle } = require("./social-profiles");
+const { getIndexMappings } = require("./extractors");
+const { domainKey } = require("./domain-aliases");
+const { SITE_STATUSES, PLACEHOLDER_STATUSES } = require("./site-status");
+const { MAX_CRAWL_JOB_DOMAINS, createCrawlJob, getCrawlJob, jobProgress } = require("./crawl-jobs");
+const { recordMatch } = require("./match-stats");
+const { startRecrawlScheduler } = require("./recrawl-scheduler");
+const { industrySectors, findIndustrySector } = require("./industry-classifier");
+const { nameKey } = require("./company-names");
+const { liveIndexVersion } = require("./index-versions");
+const { ensureSchema } = require("./index-schema");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Profiles whose domain is parked, for sale, under construction, listed on a
+// marketplace or unreachable rank below live sites in /api/match
+const INACTIVE_SITE_STATUSES = SITE_STATUSES.filter((status) => status !== "active");
+const INACTIVE_SITE_BOOST = 0.2;
+
+// Member profiles returned by /api/entity/:id
+const ENTITY_MAX_MEMBERS = 1000;
+
 // Middleware
 app.use(cors());
 app.use(morgan("combined"));
 app.use(express.json());
 
 // Utility functions
-function normalizePhone(phone) {
+
+// Normalize a phone number to E.164, reading national formats for the region
+// of the given website. Falls back to bare digits when the number can't be parsed.
+function normalizePhone(phone, website) {
   if (!phone) return "";
-  return phone.replace(/\D/g, "");
+  const region = inferDefaultRegion(normalizeWebsite(website));
+  return toE164(phone, region) || phone.replace(/\D/g, "");
+}
+
+// Queries matching a company name through the company name analyzers, which
+// ignore legal suffixes, accents and "&" vs "and" and expand synonyms: whole
+// words, words in the same order, word prefixes and the exact normalized name
+function nameQueries(name) {
+  return [
+    { match: { company_commercial_name: { query: name, boost: 3 } } },
+    { match: { company_legal_name: { query: name, boost: 2 } } },
+    { match: { company_all_available_names: { query: name, boost: 1 } } },
+    { match: { "company_commercial_name.shingles": { query: name, boost: 2 } } },
+    { match: { "company_all_available_names.shingles": { query: name, boost: 1 } } },
+    { match: { "company_commercial_name.prefix": { query: name, operator: "and", boost: 1 } } },
+    { term: { "company_commercial_name.normalized": { value: name, boost: 5 } } },
+    { term: { "company_legal_name.normalized": { value: name, boost: 4 } } }
+  ];
+}
+
+// Whether a company's commercial or legal name contains the name given, up to
+// case, accents, punctuation and legal suffix
+function nameMatches(company, name) {
+  const key = nameKey(name);
+  return Boolean(key) && [company.company_commercial_name, company.company_legal_name]
+    .some((companyName) => companyName && nameKey(companyName).includes(key));
+}
+
+// The best hit of every entity: profiles of the same company on other domains
+// are dropped. Hits are in score order; profiles without an entity stay.
+function distinctEntities(hits) {
+  const seen = new Set();
+  return hits.filter((hit) => {
+    const entityId = hit._source.entityId;
+    if (!entityId) return true;
+    if (seen.has(entityId)) return false;
+    seen.add(entityId);
+    return true;
+  });
+}
+
+// Queries matching a phone number against the E.164 numbers stored at index time
+function phoneQueries(phone, website) {
+  const normalizedPhone = normalizePhone(phone, website);
+  const digits = normalizedPhone.replace(/\D/g, "");
+
+  if (digits.length < 7) return [];
+
+  return [
+    { term: { phoneNumbersNormalized: { value: normalizedPhone, boost: 8 } } },
+    { term: { phoneNumbers: { value: phone, boost: 7 } } },
+    // Match last 7 digits for partial matches and unparseable input
+    { wildcard: { phoneNumbersNormalized: { value: `*${digits.slice(-7)}`, boost: 4 } } },
+  ];
+}
+
+// Queries matching a Facebook page by the handle or page id stored at index time.
+// Accepts a profile URL, "facebook.com/name" or a bare handle.
+function facebookQueries(facebook) {
+  const profile = parseSocialHandle(facebook, "facebook");
+  if (!profile) return [];
+
+  const queries = [
+    { term: { "socialProfiles.facebook.handle": { value: profile.handle, boost: 9 } } },
+  ];
+  if (profile.id) {
+    queries.push({ term: { "socialProfiles.facebook.id": { value: profile.id, boost: 9 } } });
+  }
+  return queries;
+}
+
+// Whether a company's Facebook page is the one given
+function facebookMatches(company, facebook) {
+  const profile = parseSocialHandle(facebook, "facebook");
+  const stored = company.socialProfiles && company.socialProfiles.facebook;
+  if (!profile || !stored) return false;
+  return stored.handle === profile.handle || Boolean(profile.id && stored.id === profile.id);
 }
 
 function normalizeWebsite(website) {
@@ -54,6 +154,76 @@ function normalizeWebsite(website) {
   return domain;
 }
 
+// Query finding the canonical profile of a domain: the profile of the domain
+// itself, or the profile listing it as an alias. Profiles that are aliases of
+// another profile never match.
+function canonicalProfileQuery(domain) {
+  const key = domainKey(domain);
+  return {
+    bool: {
+      should: [
+        { term: { domain: { value: domain, boost: 2 } } },
+        { term: { domain: { value: key, boost: 2 } } },
+        { term: { aliasDomains: { value: key } } },
+      ],
+      minimum_should_match: 1,
+      must_not: aliasProfileFilter(),
+    },
+  };
+}
+
+// Profiles of domains that are aliases of another profile, left out of matching
+// and search results in favour of the profile they resolve to
+function aliasProfileFilter() {
+  return [{ exists: { field: "canonicalDomain" } }];
+}
+
+// Rank profiles without a live company site below active ones, or leave them
+// out altogether. Profiles of domains that were never crawled count as active.
+function siteStatusQuery(query, activeOnly) {
+  const inactive = { terms: { siteStatus: INACTIVE_SITE_STATUSES } };
+  if (activeOnly) {
+    return { bool: { must: [query], must_not: [inactive] } };
+  }
+  return { boosting: { positive: query, negative: inactive, negative_boost: INACTIVE_SITE_BOOST } };
+}
+
+// Filters on the parsed address components. All given components must match
+// within the same address.
+function addressFilters({ city, state, postalCode }) {
+  const must = [];
+
+  if (city) {
+    must.push({ match: { "postalAddresses.city": { query: city, operator: "and" } } });
+  }
+  if (state) {
+    must.push({ match: { "postalAddresses.region": { query: state, operator: "and" } } });
+  }
+  if (postalCode) {
+    // "62704" also finds ZIP+4 codes such as "62704-1234"
+    must.push({ prefix: { "postalAddresses.postalCode": String(postalCode).trim().toUpperCase() } });
+  }
+
+  if (must.length === 0) return [];
+
+  return [{ nested: { path: "postalAddresses", query: { bool: { must } } } }];
+}
+
+// Filter on the industry categories assigned by the classifier. industry is a
+// sector code or name, or a list of them (any may match); minScore drops
+// categories assigned with a lower score.
+function industryFilters(industry, minScore) {
+  if (!industry) return [];
+
+  const codes = [].concat(industry).map((value) => findIndustrySector(value).code);
+  const must = [{ terms: { "industries.code": codes } }];
+  if (minScore !== undefined) {
+    must.push({ range: { "industries.score": { gte: parseFloat(minScore) } } });
+  }
+
+  return [{ nested: { path: "industries", query: { bool: { must } } } }];
+}
+
 // Initialize the API
 async function initializeAPI() {
   try {
@@ -68,32 +238,27 @@ async function initializeAPI() {
       throw new Error("Failed to connect to ElasticSearch. Is it running?");
     }
 
-    // Check if the companies index exists
-    const indexExists = await client.indices.exists({ index: "companies" });
+    // Create the companies index, or check that its schema is one this code
+    // can serve; an unknown or incompatible schema stops the API here
+    const schema = await ensureSchema();
+    console.log(`Companies index ${schema.index} at schema version ${schema.version}`);
 
     // Check if we have data indexed
-    let companyCount = 0;
-    if (indexExists) {
-      const countResponse = await client.count({ index: "companies" });
-      companyCount = countResponse.count;
-      console.log(`Found ${companyCount} companies indexed in ElasticSearch`);
-    }
+    const { count: companyCount } = await client.count({ index: "companies" });
+    console.log(`Found ${companyCount} companies indexed in ElasticSearch`);
 
-    // If no index or no data, run the data processing and indexing
-    if (!indexExists || companyCount === 0) {
+    // If no data, run the data processing and indexing
+    if (companyCount === 0) {
       console.log(
         "No company data found in ElasticSearch. Running data processing..."
       );
 
-      // Check if company_profiles.json exists to avoid re-scraping
-      if (fs.existsSync("./data/company_profiles.json")) {
+      // Check if company_profiles.ndjson exists to avoid re-processing
+      if (fs.existsSync(COMPANY_PROFILES_FILE)) {
         console.log(
-          "Using existing company profiles from ./data/company_profiles.json"
-        );
-        const profiles = JSON.parse(
-          fs.readFileSync("./data/company_profiles.json", "utf8")
+          `Using existing company profiles from ${COMPANY_PROFILES_FILE}`
         );
-        await require("./data-processor").indexCompanies(profiles);
+        await indexCompanies(readRecords(COMPANY_PROFILES_FILE));
       } else {
         // Process data from scratch
         await mergeData();
@@ -101,6 +266,9 @@ async function initializeAPI() {
     }
 
     console.log("API ready to serve requests");
+
+    // Refresh stale profiles in the background
+    startRecrawlScheduler();
   } catch (error) {
     console.error("Error initializing API:", error);
     process.exit(1);
@@ -149,7 +317,13 @@ app.get("/", (req, res) => {
           <p><strong>GET /api/company/:domain</strong></p>
           <p>Retrieve a company profile by its domain name.</p>
         </div>
-        
+
+        <div class="endpoint">
+          <h3>Get Entity</h3>
+          <p><strong>GET /api/entity/:id</strong></p>
+          <p>Retrieve every domain of a company with their contact data merged.</p>
+        </div>
+
         <h2>POST</h2>
         <div class="endpoint">
           <h3>Match Company</h3>
@@ -168,10 +342,13 @@ app.get("/", (req, res) => {
         <div class="endpoint">
           <h3>Search Companies</h3>
           <p><strong>POST /api/search</strong></p>
-          <p>Search for multiple company matches.</p>
+          <p>Search for multiple company matches. <code>city</code>, <code>state</code> and <code>postalCode</code> filter the results by address.</p>
           <pre>
             {
               "name": "Company Name",
+              "city": "Springfield",
+              "state": "IL",
+              "postalCode": "62704",
               "limit": 5
             }
           </pre>
@@ -195,58 +372,47 @@ app.get("/health", (req, res) => {
 // Get database stats
 app.get('/api/stats', async (req, res) => {
   try {
+    // Parked, for-sale, under-construction and marketplace domains have no site
+    // to extract from, so they are left out of the fill rates
+    const withSite = { must_not: [{ terms: { siteStatus: PLACEHOLDER_STATUSES } }] };
+    const countWithSite = async field => {
+      const { count } = await client.count({
+        index: 'companies',
+        body: {
+          query: {
+            bool: { ...withSite, filter: field ? [{ exists: { field } }] : [] }
+          }
+        }
+      });
+      return count;
+    };
+
     // Get total count
     const { count: totalCompanies } = await client.count({ index: 'companies' });
+    const companiesWithSite = await countWithSite(null);
     
-    const { count: companiesWithPhone } = await client.count({
-      index: 'companies',
-      body: {
-        query: {
-          exists: { field: "phoneNumbers" }
-        }
-      }
-    });
+    const companiesWithPhone = await countWithSite("phoneNumbers");
+    const companiesWithSocial = await countWithSite("socialMediaLinks");
+    const companiesWithAddress = await countWithSite("addresses");
+    const companiesWithEmail = await countWithSite("emails");
     
-    const { count: companiesWithSocial } = await client.count({
-      index: 'companies',
-      body: {
-        query: {
-          exists: { field: "socialMediaLinks" }
-        }
-      }
-    });
-    
-    const { count: companiesWithAddress } = await client.count({
-      index: 'companies',
-      body: {
-        query: {
-          exists: { field: "addresses" }
-        }
-      }
-    });
-    
-    const { count: companiesWithEmail } = await client.count({
-      index: 'companies',
-      body: {
-        query: {
-          exists: { field: "emails" }
-        }
-      }
-    });
+    const fillRate = count => (companiesWithSite > 0 ? count / companiesWithSite * 100 : 0).toFixed(2) + '%';
     
     res.json({
       success: true,
       stats: {
+        indexVersion: await liveIndexVersion(),
         totalCompanies,
+        companiesWithSite,
         companiesWithPhone,
         companiesWithSocial,
         companiesWithAddress,
         companiesWithEmail,
         fillRates: {
-          phone: (companiesWithPhone / totalCompanies * 100).toFixed(2) + '%',
-          social: (companiesWithSocial / totalCompanies * 100).toFixed(2) + '%',
-          address: (companiesWithAddress / totalCompanies * 100).toFixed(2) + '%',
-          email: (companiesWithEmail / totalCompanies * 100).toFixed(2) + '%'
+          phone: fillRate(companiesWithPhone),
+          social: fillRate(companiesWithSocial),
+          address: fillRate(companiesWithAddress),
+          email: fillRate(companiesWithEmail)
         }
       }
     });
@@ -265,19 +431,16 @@ app.get("/api/company/:domain", async (req, res) => {
       return res.status(400).json({ error: "Domain parameter is required" });
     }
 
-    // Find the company by domain
+    // ?include=provenance adds where and how every value was found
+    const include = [].concat(req.query.include || []).join(",").split(",").map((part) => part.trim());
+    const includeProvenance = include.includes("provenance");
+
+    // Find the company by domain, resolving aliases to their canonical profile
     const result = await client.search({
       index: "companies",
+      _source_excludes: includeProvenance ? undefined : ["provenance"],
       body: {
-        query: {
-          bool: {
-            should: [
-              { term: { domain: { value: domain } } },
-              { term: { domain: { value: domain.toLowerCase() } } },
-            ],
-            minimum_should_match: 1,
-          },
-        },
+        query: canonicalProfileQuery(domain),
       },
     });
 
@@ -285,19 +448,35 @@ app.get("/api/company/:domain", async (req, res) => {
     if (result.hits.total.value > 0) {
       const company = result.hits.hits[0]._source;
 
+      // Indexed extractor fields first, so plugin fields show up as well
+      const extractorFields = {};
+      Object.keys(getIndexMappings()).forEach((field) => {
+        extractorFields[field] = company[field];
+      });
+
       res.json({
         success: true,
         company: {
+          ...extractorFields,
           domain: company.domain,
           company_commercial_name: company.company_commercial_name,
           company_legal_name: company.company_legal_name,
           company_all_available_names: company.company_all_available_names,
           phoneNumbers: company.phoneNumbers,
+          phoneNumbersNormalized: company.phoneNumbersNormalized,
           socialMediaLinks: company.socialMediaLinks,
-          facebookLink: company.facebookLink,
           addresses: company.addresses,
+          postalAddresses: company.postalAddresses,
           emails: company.emails,
+          aliasDomains: company.aliasDomains || [],
+          siteStatus: company.siteStatus || null,
+          entityId: company.entityId || null,
+          lastCrawledAt: company.lastCrawledAt || null,
+          lastChangedAt: company.lastChangedAt || null,
+          provenance: includeProvenance ? company.provenance || {} : undefined,
         },
+        // The domain asked for, when it's an alias of the profile returned
+        resolvedFrom: domainKey(domain) !== domainKey(company.domain) ? domain : undefined,
       });
     } else {
       res.status(404).json({
@@ -311,12 +490,84 @@ app.get("/api/company/:domain", async (req, res) => {
   }
 });
 
+// Get an entity: every domain found to belong to the same company, with their
+// contact data merged. The canonical profile comes first.
+app.get("/api/entity/:id", async (req, res) => {
+  try {
+    const result = await client.search({
+      index: "companies",
+      _source_excludes: ["provenance"],
+      body: {
+        query: { term: { entityId: req.params.id } },
+        size: ENTITY_MAX_MEMBERS,
+      },
+    });
+
+    const members = result.hits.hits.map((hit) => hit._source);
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Entity not found",
+      });
+    }
+
+    const canonicalDomain = members[0].entityCanonicalDomain;
+    members.sort((a, b) => (b.domain === canonicalDomain) - (a.domain === canonicalDomain) || a.domain.localeCompare(b.domain));
+    const canonical = members[0];
+
+    // Values of every member, the canonical profile's first, without repeats
+    const merged = (field) => [...new Set(members.flatMap((member) => member[field] || []))];
+    const mergedByKey = (field) => [...new Map(members
+      .flatMap((member) => member[field] || [])
+      .map((value) => [JSON.stringify(value), value])).values()];
+
+    // The canonical profile's page per platform, then the other members' pages
+    const socialProfiles = {};
+    members.forEach((member) => {
+      Object.entries(member.socialProfiles || {}).forEach(([platform, profile]) => {
+        if (!socialProfiles[platform]) socialProfiles[platform] = profile;
+      });
+    });
+
+    res.json({
+      success: true,
+      entity: {
+        entityId: req.params.id,
+        canonicalDomain: canonical.domain,
+        company_commercial_name: canonical.company_commercial_name,
+        company_legal_name: canonical.company_legal_name,
+        domains: members.map((member) => member.domain),
+        aliasDomains: merged("aliasDomains"),
+        names: [...new Set(members
+          .flatMap((member) => [member.company_commercial_name, member.company_legal_name])
+          .filter(Boolean))],
+        phoneNumbers: merged("phoneNumbers"),
+        phoneNumbersNormalized: merged("phoneNumbersNormalized"),
+        emails: merged("emails"),
+        socialMediaLinks: merged("socialMediaLinks"),
+        socialProfiles,
+        addresses: merged("addresses"),
+        postalAddresses: mergedByKey("postalAddresses"),
+        members: members.map((member) => ({
+          domain: member.domain,
+          company_commercial_name: member.company_commercial_name,
+          siteStatus: member.siteStatus || null,
+          canonicalDomain: member.canonicalDomain || null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error in entity endpoint:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // POST
 
 // Match company by name, website, phone, or facebook
 app.post('/api/match', async (req, res) => {
   try {
-    const { name, website, phone, facebook } = req.body;
+    const { name, website, phone, facebook, activeOnly = false } = req.body;
     
     // Require at least one search parameter
     if (!name && !website && !phone && !facebook) {
@@ -333,17 +584,7 @@ app.post('/api/match', async (req, res) => {
     
     // Add name queries if provided
     if (name) {
-      should.push(
-        { match: { company_commercial_name: { query: name, boost: 3 } } },
-        { match: { company_legal_name: { query: name, boost: 2 } } },
-        { match: { company_all_available_names: { query: name, boost: 1 } } }
-      );
-      
-      // Add exact match with higher boost
-      should.push(
-        { term: { "company_commercial_name.keyword": { value: name, boost: 5 } } },
-        { term: { "company_legal_name.keyword": { value: name, boost: 4 } } }
-      );
+      should.push(...nameQueries(name));
     }
     
     // Add website queries if provided
@@ -353,6 +594,8 @@ app.post('/api/match', async (req, res) => {
       if (normalizedDomain) {
         should.push(
           { term: { domain: { value: normalizedDomain, boost: 10 } } },
+          // Domains that redirect to the company's site
+          { term: { aliasDomains: { value: domainKey(normalizedDomain), boost: 10 } } },
           { wildcard: { domain: { value: `*${normalizedDomain}*`, boost: 5 } } }
         );
         
@@ -368,42 +611,25 @@ app.post('/api/match', async (req, res) => {
     
     // Add phone queries if provided
     if (phone) {
-      const normalizedPhone = normalizePhone(phone);
-      
-      if (normalizedPhone.length >= 7) {
-        should.push(
-          { term: { phoneNumbers: { value: normalizedPhone, boost: 8 } } },
-          { term: { phoneNumbers: { value: phone, boost: 7 } } }
-        );
-        
-        // Match last 7 digits for partial matches
-        if (normalizedPhone.length >= 7) {
-          const last7 = normalizedPhone.slice(-7);
-          should.push(
-            { wildcard: { phoneNumbers: { value: `*${last7}`, boost: 4 } } }
-          );
-        }
-      }
+      should.push(...phoneQueries(phone, website));
     }
     
     // Add Facebook queries if provided
     if (facebook) {
-      should.push(
-        { wildcard: { socialMediaLinks: { value: `*facebook.com*${facebook.split('/').pop()}*`, boost: 6 } } },
-        { wildcard: { socialMediaLinks: { value: `*facebook.com*`, boost: 3 } } }
-      );
+      should.push(...facebookQueries(facebook));
     }
     
     // Execute ElasticSearch query
     const result = await client.search({
       index: 'companies',
       body: {
-        query: {
+        query: siteStatusQuery({
           bool: {
             should,
-            minimum_should_match: 1
+            minimum_should_match: 1,
+            must_not: aliasProfileFilter()
           }
-        },
+        }, activeOnly),
         size: 10 // Get top 10 matches
       }
     });
@@ -413,6 +639,9 @@ app.post('/api/match', async (req, res) => {
       const bestMatch = result.hits.hits[0];
       const confidence = Math.min(100, Math.round(bestMatch._score * 10));
       
+      // Frequently matched companies are re-crawled first
+      recordMatch(bestMatch._source.domain);
+      
       // Enhance response with match details
       const matchDetails = {
         score: bestMatch._score,
@@ -420,22 +649,21 @@ app.post('/api/match', async (req, res) => {
       };
       
       // Determine which fields matched
-      if (name && 
-          (bestMatch._source.company_commercial_name.toLowerCase().includes(name.toLowerCase()) || 
-           (bestMatch._source.company_legal_name && bestMatch._source.company_legal_name.toLowerCase().includes(name.toLowerCase())))) {
+      if (name && nameMatches(bestMatch._source, name)) {
         matchDetails.matchingFields.push('name');
       }
       
       if (website && normalizeWebsite(website) === bestMatch._source.domain) {
         matchDetails.matchingFields.push('domain');
+      } else if (website && (bestMatch._source.aliasDomains || []).includes(domainKey(website))) {
+        matchDetails.matchingFields.push('aliasDomain');
       }
       
-      if (phone && bestMatch._source.phoneNumbers.some(p => normalizePhone(p) === normalizePhone(phone))) {
+      if (phone && (bestMatch._source.phoneNumbersNormalized || []).includes(normalizePhone(phone, website))) {
         matchDetails.matchingFields.push('phone');
       }
       
-      if (facebook && bestMatch._source.socialMediaLinks.some(link => 
-          link.includes('facebook.com') && (link.includes(facebook) || facebook.includes(link)))) {
+      if (facebook && facebookMatches(bestMatch._source, facebook)) {
         matchDetails.matchingFields.push('facebook');
       }
       
@@ -448,16 +676,25 @@ app.post('/api/match', async (req, res) => {
           company_legal_name: bestMatch._source.company_legal_name,
           company_all_available_names: bestMatch._source.company_all_available_names,
           phoneNumbers: bestMatch._source.phoneNumbers,
+          phoneNumbersNormalized: bestMatch._source.phoneNumbersNormalized,
           socialMediaLinks: bestMatch._source.socialMediaLinks,
+          socialProfiles: bestMatch._source.socialProfiles,
           addresses: bestMatch._source.addresses,
-          emails: bestMatch._source.emails
+          postalAddresses: bestMatch._source.postalAddresses,
+          emails: bestMatch._source.emails,
+          aliasDomains: bestMatch._source.aliasDomains || [],
+          siteStatus: bestMatch._source.siteStatus || null,
+          entityId: bestMatch._source.entityId || null
         },
         confidence,
         score: bestMatch._score,
         matchDetails,
-        alternatives: result.hits.hits.slice(1, 3).map(hit => ({
+        // Other companies only: profiles of the matched company's entity are left out
+        alternatives: distinctEntities(result.hits.hits).slice(1, 3).map(hit => ({
           domain: hit._source.domain,
           company_commercial_name: hit._source.company_commercial_name,
+          entityId: hit._source.entityId || null,
+          siteStatus: hit._source.siteStatus || null,
           confidence: Math.min(100, Math.round(hit._score * 10)),
           score: hit._score
         }))
@@ -467,7 +704,7 @@ app.post('/api/match', async (req, res) => {
       console.log(`Match found: ${bestMatch._source.company_commercial_name} (${bestMatch._source.domain}) with score ${bestMatch._score}`);
     } else {
       // No confident match found, return potential matches
-      const potentialMatches = result.hits.hits.slice(0, 3).map(hit => ({
+      const potentialMatches = distinctEntities(result.hits.hits).slice(0, 3).map(hit => ({
         domain: hit._source.domain,
         company_commercial_name: hit._source.company_commercial_name,
         score: hit._score
@@ -491,25 +728,32 @@ app.post('/api/match', async (req, res) => {
 // Search for companies (returns multiple matches)
 app.post("/api/search", async (req, res) => {
   try {
-    const { name, website, phone, facebook, limit = 5 } = req.body;
+    const { name, website, phone, facebook, city, state, postalCode, industry, industryMinScore, limit = 5 } = req.body;
 
     // Require at least one search parameter
-    if (!name && !website && !phone && !facebook) {
+    if (!name && !website && !phone && !facebook && !city && !state && !postalCode && !industry) {
       return res.status(400).json({
         error:
-          "At least one search parameter (name, website, phone, facebook) is required",
+          "At least one search parameter (name, website, phone, facebook, city, state, postalCode, industry) is required",
       });
     }
 
+    const unknownIndustries = [].concat(industry || []).filter((value) => !findIndustrySector(value));
+    if (unknownIndustries.length > 0) {
+      return res.status(400).json({
+        error: `Unknown industry: ${unknownIndustries.join(", ")}`,
+        industries: industrySectors(),
+      });
+    }
+    if (industryMinScore !== undefined && isNaN(parseFloat(industryMinScore))) {
+      return res.status(400).json({ error: "industryMinScore must be a number" });
+    }
+
     // Build query similar to match endpoint but return more results
     const should = [];
 
     if (name) {
-      should.push(
-        { match: { company_commercial_name: { query: name, boost: 3 } } },
-        { match: { company_legal_name: { query: name, boost: 2 } } },
-        { match: { company_all_available_names: { query: name, boost: 1 } } }
-      );
+      should.push(...nameQueries(name));
     }
 
     if (website) {
@@ -517,35 +761,24 @@ app.post("/api/search", async (req, res) => {
       if (normalizedDomain) {
         should.push(
           { term: { domain: { value: normalizedDomain, boost: 10 } } },
+          // Domains that redirect to the company's site
+          { term: { aliasDomains: { value: domainKey(normalizedDomain), boost: 10 } } },
           { wildcard: { domain: { value: `*${normalizedDomain}*`, boost: 5 } } }
         );
       }
     }
 
     if (phone) {
-      const normalizedPhone = normalizePhone(phone);
-      if (normalizedPhone.length >= 7) {
-        should.push(
-          { term: { phoneNumbers: { value: normalizedPhone, boost: 8 } } },
-          {
-            wildcard: {
-              phoneNumbers: { value: `*${normalizedPhone}*`, boost: 4 },
-            },
-          }
-        );
-      }
+      should.push(...phoneQueries(phone, website));
     }
 
     if (facebook) {
-      should.push(
-        { term: { facebookLink: { value: facebook, boost: 9 } } },
-        { wildcard: { facebookLink: { value: `*${facebook}*`, boost: 6 } } },
-        {
-          wildcard: { socialMediaLinks: { value: `*facebook.com*`, boost: 4 } },
-        }
-      );
+      should.push(...facebookQueries(facebook));
     }
 
+    // Location and industry parameters restrict the results rather than add to the score
+    const filter = [...addressFilters({ city, state, postalCode }), ...industryFilters(industry, industryMinScore)];
+
     // Execute search
     const result = await client.search({
       index: "companies",
@@ -553,10 +786,13 @@ app.post("/api/search", async (req, res) => {
         query: {
           bool: {
             should,
-            minimum_should_match: 1,
+            filter,
+            minimum_should_match: should.length > 0 ? 1 : 0,
+            must_not: aliasProfileFilter(),
           },
         },
-        size: limit,
+        // Extra hits make up for profiles of the same entity, which are dropped
+        size: limit * 2,
       },
     });
 
@@ -564,13 +800,18 @@ app.post("/api/search", async (req, res) => {
     res.json({
       success: true,
       count: result.hits.total.value,
-      results: result.hits.hits.map((hit) => ({
+      results: distinctEntities(result.hits.hits).slice(0, limit).map((hit) => ({
         domain: hit._source.domain,
         company_commercial_name: hit._source.company_commercial_name,
         company_legal_name: hit._source.company_legal_name,
         phoneNumbers: hit._source.phoneNumbers,
+        phoneNumbersNormalized: hit._source.phoneNumbersNormalized,
         socialMediaLinks: hit._source.socialMediaLinks,
-        facebookLink: hit._source.facebookLink,
+        socialProfiles: hit._source.socialProfiles,
+        postalAddresses: hit._source.postalAddresses,
+        industries: hit._source.industries || [],
+        siteStatus: hit._source.siteStatus || null,
+        entityId: hit._source.entityId || null,
         score: hit._score,
       })),
     });
@@ -610,17 +851,7 @@ app.post("/api/test-sample", async (req, res) => {
       const should = [];
 
       if (query.name) {
-        should.push(
-          {
-            match: { company_commercial_name: { query: query.name, boost: 3 } },
-          },
-          { match: { company_legal_name: { query: query.name, boost: 2 } } },
-          {
-            match: {
-              company_all_available_names: { query: query.name, boost: 1 },
-            },
-          }
-        );
+        should.push(...nameQueries(query.name));
       }
 
       if (query.website) {
@@ -628,6 +859,7 @@ app.post("/api/test-sample", async (req, res) => {
         if (normalizedDomain) {
           should.push(
             { term: { domain: { value: normalizedDomain, boost: 10 } } },
+            { term: { aliasDomains: { value: domainKey(normalizedDomain), boost: 10 } } },
             {
               wildcard: {
                 domain: { value: `*${normalizedDomain}*`, boost: 5 },
@@ -638,33 +870,11 @@ app.post("/api/test-sample", async (req, res) => {
       }
 
       if (query.phone) {
-        const normalizedPhone = normalizePhone(query.phone);
-        if (normalizedPhone.length >= 7) {
-          should.push(
-            { term: { phoneNumbers: { value: normalizedPhone, boost: 8 } } },
-            {
-              wildcard: {
-                phoneNumbers: { value: `*${normalizedPhone}*`, boost: 4 },
-              },
-            }
-          );
-        }
+        should.push(...phoneQueries(query.phone, query.website));
       }
 
       if (query.facebook) {
-        should.push(
-          { term: { facebookLink: { value: query.facebook, boost: 9 } } },
-          {
-            wildcard: {
-              facebookLink: { value: `*${query.facebook}*`, boost: 6 },
-            },
-          },
-          {
-            wildcard: {
-              socialMediaLinks: { value: `*facebook.com*`, boost: 4 },
-            },
-          }
-        );
+        should.push(...facebookQueries(query.facebook));
       }
 
       // Execute search
@@ -675,6 +885,7 @@ app.post("/api/test-sample", async (req, res) => {
             bool: {
               should,
               minimum_should_match: 1,
+              must_not: aliasProfileFilter(),
             },
           },
           size: 1,
@@ -724,6 +935,60 @@ app.post("/api/test-sample", async (req, res) => {
   }
 });
 
+// Crawl one or more domains in the background and upsert their profiles
+app.post("/api/crawl", (req, res) => {
+  const { domain, domains } = req.body;
+  const requested = [].concat(domains || [], domain || []);
+
+  if (requested.length === 0) {
+    return res.status(400).json({ error: "A domain or a list of domains is required" });
+  }
+  if (requested.length > MAX_CRAWL_JOB_DOMAINS) {
+    return res.status(400).json({ error: `At most ${MAX_CRAWL_JOB_DOMAINS} domains can be crawled per request` });
+  }
+
+  // Same key as the profiles built from the CSV files, so existing profiles are updated
+  const keys = requested.map((input) => domainKey(typeof input === "string" ? input : ""));
+  const invalid = requested.filter((input, index) => !keys[index].includes("."));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: "Invalid domains", invalid });
+  }
+  const normalized = [...new Set(keys)];
+
+  const job = createCrawlJob(normalized);
+  console.log(`Crawl job ${job.id} queued for ${normalized.length} domains`);
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    domains: normalized,
+    statusUrl: `/api/crawl/${job.id}`,
+  });
+});
+
+// Progress, per-domain results and errors of a crawl job
+app.get("/api/crawl/:jobId", (req, res) => {
+  const job = getCrawlJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ success: false, message: "Crawl job not found" });
+  }
+
+  res.json({
+    success: true,
+    job: {
+      id: job.id,
+      trigger: job.trigger,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: jobProgress(job),
+      domains: job.domains,
+    },
+  });
+});
 
 // Start the server
 app.listen(PORT, async () => {
@@ -0,0 +1,135 @@
+// Bulk indexer for the ingestion pipeline: documents are sent to ElasticSearch
+// in batches, with at most BULK_CONCURRENCY batches in flight. add() waits while
+// all slots are busy, so a fast reader can't outrun the cluster. Documents
+// rejected with a transient error (429, 5xx, a failed request) are retried with
+// exponential backoff; throughput is logged every INGEST_REPORT_INTERVAL_MS.
+const { client } = require('./elastic-client');
+
+// Constants
+const BULK_BATCH_SIZE = parseInt(process.env.BULK_BATCH_SIZE, 10) || 500; // Documents per bulk request
+const BULK_CONCURRENCY = parseInt(process.env.BULK_CONCURRENCY, 10) || 2; // Bulk requests in flight
+const BULK_MAX_RETRIES = process.env.BULK_MAX_RETRIES ? parseInt(process.env.BULK_MAX_RETRIES, 10) : 3; // Retries of a document after a transient error
+const BULK_RETRY_BASE_DELAY_MS = parseInt(process.env.BULK_RETRY_BASE_DELAY_MS, 10) || 1000; // Doubled after every further retry
+const INGEST_REPORT_INTERVAL_MS = parseInt(process.env.INGEST_REPORT_INTERVAL_MS, 10) || 5000;
+const MAX_REPORTED_FAILURES = 20; // Failed documents kept with their reason
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Item statuses worth retrying: too many requests and server-side errors
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Create a bulk indexer writing to index. Documents are indexed under idOf(doc);
+// with action: 'update' they are partial updates of existing documents instead.
+// Returns { add(doc), flush(), stats }; stats counts the documents sent,
+// indexed, retried and failed, and lists the first failures as { id, reason }.
+function createBulkIndexer(index, { idOf = doc => doc.domain, action = 'index' } = {}) {
+  const stats = { sent: 0, indexed: 0, retried: 0, failed: 0, failures: [] };
+  const inFlight = new Set();
+  const startedAt = Date.now();
+  let batch = [];
+  let lastReport = startedAt;
+
+  function report(final = false) {
+    const now = Date.now();
+    if (!final && now - lastReport < INGEST_REPORT_INTERVAL_MS) return;
+    lastReport = now;
+    const seconds = Math.max((now - startedAt) / 1000, 0.001);
+    console.log(`Indexed ${stats.indexed} of ${stats.sent} documents${final ? ` in ${seconds.toFixed(1)}s` : ''} ` +
+      `(${Math.round(stats.indexed / seconds)} docs/s), ${stats.retried} retried, ${stats.failed} failed`);
+  }
+
+  function fail(id, reason) {
+    stats.failed++;
+    if (stats.failures.length < MAX_REPORTED_FAILURES) {
+      stats.failures.push({ id, reason });
+    }
+  }
+
+  // Send a batch, then retry the documents rejected with a transient error
+  async function sendBatch(docs) {
+    let pending = docs;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      if (attempt > 0) {
+        stats.retried += pending.length;
+        await sleep(BULK_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      }
+      const lastAttempt = attempt >= BULK_MAX_RETRIES;
+
+      let items;
+      try {
+        const operations = pending.flatMap(doc => [
+          { [action]: { _index: index, _id: idOf(doc) } },
+          action === 'update' ? { doc } : doc
+        ]);
+        ({ items } = await client.bulk({ operations }));
+      } catch (error) {
+        // The whole request failed: a connection error or an overloaded cluster
+        const status = error.meta && error.meta.statusCode;
+        if (lastAttempt || (status && !isRetryableStatus(status))) {
+          pending.forEach(doc => fail(idOf(doc), error.message));
+          return;
+        }
+        continue;
+      }
+
+      const retry = [];
+      items.forEach((item, i) => {
+        const result = item[action];
+        if (!result.error) {
+          stats.indexed++;
+        } else if (!lastAttempt && isRetryableStatus(result.status)) {
+          retry.push(pending[i]);
+        } else {
+          fail(result._id, result.error.reason || result.error.type);
+        }
+      });
+      pending = retry;
+    }
+  }
+
+  // Send the current batch once a slot is free
+  async function dispatch() {
+    const docs = batch;
+    batch = [];
+    while (inFlight.size >= BULK_CONCURRENCY) {
+      await Promise.race(inFlight);
+    }
+    const request = sendBatch(docs).finally(() => {
+      inFlight.delete(request);
+      report();
+    });
+    inFlight.add(request);
+  }
+
+  // Queue a document. Resolves once it is buffered; waits while every slot is busy.
+  async function add(doc) {
+    batch.push(doc);
+    stats.sent++;
+    if (batch.length >= BULK_BATCH_SIZE) {
+      await dispatch();
+    }
+  }
+
+  // Send what is left and wait for every batch to finish. Returns the stats.
+  async function flush() {
+    if (batch.length > 0) {
+      await dispatch();
+    }
+    await Promise.all(inFlight);
+    report(true);
+    return stats;
+  }
+
+  return { add, flush, stats };
+}
+
+module.exports = {
+  BULK_BATCH_SIZE,
+  BULK_CONCURRENCY,
+  createBulkIndexer
+};
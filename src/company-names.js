@@ -0,0 +1,218 @@
+// Company name candidates found on a website: cleanup, legal-entity detection and scoring
+
+// Letters of a suffix matched in either case: "inc" -> "[iI][nN][cC]". The
+// suffix pattern can't use a case-insensitive flag, as some suffixes only
+// count in capitals.
+function caseless(text) {
+  return text.replace(/[&/]/g, '\\$&').replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+}
+
+// An abbreviation with optional dots and spaces: "llc", "L.L.C.", "l. l. c"
+function initials(abbreviation) {
+  return [...abbreviation].map(caseless).join(String.raw`\.?\s?`);
+}
+
+// Suffixes that are never ordinary words, matched in any case and spelling
+const LEGAL_SUFFIXES = [
+  initials('llc'), initials('llp'), initials('pllc'), caseless('lllp'),
+  caseless('inc'), caseless('incorporated'), caseless('corp'), caseless('corporation'),
+  caseless('ltd'), caseless('limited'), String.raw`${caseless('pty')}\.?\s+${caseless('ltd')}`, caseless('plc'),
+  String.raw`${caseless('gmbh')}(?:\s*&\s*${caseless('co')}\.?\s*${caseless('kg')})?`,
+  initials('sarl'), initials('srl'), caseless('a/s')
+];
+
+// Suffixes that are also words or word endings ("Jones Co", "Day Spa", "Casa"):
+// only stripped when dotted ("S.A.", "Co."), in capitals ("SA", "AG") or after
+// a comma ("Acme, Co"). "Company" is never stripped; the index's synonyms
+// match it with "Co" instead.
+const AMBIGUOUS_LEGAL_SUFFIXES = ['co', 'sa', 'ag', 'kg', 'ug', 'ab', 'oy', 'sl', 'spa', 'sas', 'bv', 'nv', 'lp', 'pc', 'ev'];
+
+// "S.A.", "B. V.": every letter followed by a dot; "Co." ends in one
+function dottedSuffix(suffix) {
+  return suffix === 'co'
+    ? String.raw`${caseless('co')}\.`
+    : [...suffix].map(letter => String.raw`${caseless(letter)}\.`).join(String.raw`\s?`);
+}
+
+// The separator before a suffix: spaces, a comma or both
+const SUFFIX_SEPARATOR = String.raw`(?:,?\s+|\s*,\s*)`;
+
+// Legal-entity suffixes with the separator before them. Also used by the
+// company name analyzer of the index, so it has to stay valid in Java regex.
+const LEGAL_SUFFIX_PATTERN = `(?:${[
+  String.raw`${SUFFIX_SEPARATOR}(?:${LEGAL_SUFFIXES.join('|')})\.?`,
+  `${SUFFIX_SEPARATOR}(?:${AMBIGUOUS_LEGAL_SUFFIXES.map(dottedSuffix).join('|')})`,
+  String.raw`${SUFFIX_SEPARATOR}(?:${AMBIGUOUS_LEGAL_SUFFIXES.map(suffix => suffix.toUpperCase()).join('|')})\.?`,
+  String.raw`\s*,\s*(?:${AMBIGUOUS_LEGAL_SUFFIXES.map(caseless).join('|')})\.?`
+].join('|')})`;
+
+// Legal-entity suffixes at the end of a name
+const LEGAL_SUFFIX_REGEX = new RegExp(`${LEGAL_SUFFIX_PATTERN}$`);
+
+// Weight of each source. Structured and explicit site names are the most reliable.
+const SOURCE_WEIGHTS = {
+  'json-ld': 5,
+  'microdata': 5,
+  'rdfa': 5,
+  'og:site_name': 4,
+  'application-name': 3,
+  'logo-alt': 3,
+  'copyright': 3,
+  'title': 1.5
+};
+
+// Title segments and alt texts that describe the page, not the company
+const GENERIC_NAMES = new Set([
+  'home', 'homepage', 'home page', 'welcome', 'index', 'contact', 'contact us', 'about', 'about us',
+  'our team', 'services', 'our services', 'products', 'blog', 'news', 'shop', 'store', 'menu',
+  'locations', 'location', 'careers', 'faq', 'gallery', 'login', 'logo', 'site logo', 'untitled',
+  'page not found', '404', 'default', 'impressum', 'kontakt', 'startseite', 'accueil', 'inicio'
+]);
+
+const TITLE_SEPARATOR_REGEX = /\s+[|\-–—:·•»]\s+|\s*[|–—·•»]\s*/;
+const COPYRIGHT_REGEX = /(?:©|\(c\)|copyright)\s*(?:(?:\d{4})(?:\s*[-–]\s*\d{4})?\s*[,.]?\s*)?(?:by\s+)?([^.|•\n\r©]{2,80}?)(?:\s*[.|•]\s|\s*[,.]?\s*all rights reserved|\s*\d{4}\s*$|\s*$)/gi;
+
+function isLegalName(name) {
+  return LEGAL_SUFFIX_REGEX.test(name);
+}
+
+// Name without its legal-entity suffix: "Acme Plumbing, LLC" -> "Acme Plumbing"
+function stripLegalSuffix(name) {
+  let stripped = name;
+  // Twice for stacked suffixes such as "Acme Co., Ltd."
+  for (let i = 0; i < 2 && LEGAL_SUFFIX_REGEX.test(stripped); i++) {
+    stripped = stripped.replace(LEGAL_SUFFIX_REGEX, '').trim();
+  }
+  return stripped || name;
+}
+
+// Key used to recognise the same name written with different case, punctuation or suffix
+function nameKey(name) {
+  return stripLegalSuffix(String(name || ''))
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Tidy a candidate, or return '' when it can't be a company name
+function cleanName(text) {
+  const name = String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'“”‘’,.:;-]+|[\s"'“”‘’,:;-]+$/g, '')
+    .replace(/\s+logo$/i, '')
+    .replace(/^logo\s+(?:of\s+)?/i, '')
+    .trim();
+
+  if (name.length < 2 || name.length > 80) return '';
+  if (GENERIC_NAMES.has(name.toLowerCase())) return '';
+  if (!/[a-z]/i.test(name)) return '';
+  // Sentences and URLs aren't names
+  if (name.split(' ').length > 8 || /https?:|www\.|@/.test(name)) return '';
+
+  return name;
+}
+
+// Candidate names from a page title: "Acme Plumbing | Emergency Plumbers in Austin"
+function titleCandidates(title) {
+  return String(title || '')
+    .split(TITLE_SEPARATOR_REGEX)
+    .map(cleanName)
+    .filter(Boolean);
+}
+
+// Holder names from copyright lines: "© 2024 Acme Plumbing LLC. All rights reserved."
+function copyrightCandidates(text) {
+  const names = [];
+  let match;
+  COPYRIGHT_REGEX.lastIndex = 0;
+  while ((match = COPYRIGHT_REGEX.exec(String(text || ''))) !== null) {
+    const name = cleanName(match[1].replace(/\s*\d{4}(?:\s*[-–]\s*\d{4})?\s*$/, ''));
+    if (name && !/^all rights/i.test(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+// Whether a name and the site's domain name share their letters, e.g. "Acme Plumbing" and acmeplumbing.com
+function matchesDomain(name, host) {
+  const label = String(host || '').toLowerCase().replace(/^www\./, '').split('.')[0].replace(/[^a-z0-9]/g, '');
+  const key = nameKey(name);
+  const compact = key.replace(/\s+/g, '');
+  // "Smith and Sons" is often smithsons.com
+  const withoutAnd = key.replace(/\band\b/g, '').replace(/\s+/g, '');
+  if (!label || compact.length < 3) return false;
+  return [compact, withoutAnd].some(variant => label.includes(variant) || variant.includes(label));
+}
+
+// Score the candidates found on a site. Each candidate is { name, source }.
+// Returns { commercial, legal, candidates: [{ name, type, score, sources }] }, best first.
+function scoreNameCandidates(candidates, host) {
+  const groups = new Map();
+
+  candidates.forEach(({ name, source }) => {
+    const key = nameKey(name);
+    if (!key) return;
+
+    if (!groups.has(key)) {
+      groups.set(key, { names: [], sources: new Map() });
+    }
+    const group = groups.get(key);
+    group.names.push(name);
+    group.sources.set(source, (group.sources.get(source) || 0) + 1);
+  });
+
+  const scored = [...groups.values()].map(group => {
+    // One full weight per source, a little more for every repeat (the same name in every page title)
+    let score = 0;
+    group.sources.forEach((count, source) => {
+      const weight = SOURCE_WEIGHTS[source] || 1;
+      score += weight + Math.min(count - 1, 3) * weight * 0.1;
+    });
+
+    const name = group.names[0];
+    if (matchesDomain(name, host)) {
+      score += 3;
+    }
+
+    // Spell the candidate the way most sources do, preferring a legal form when one exists
+    const legalName = group.names.find(isLegalName);
+    const commercialName = group.names.find(candidate => !isLegalName(candidate)) || stripLegalSuffix(name);
+
+    return {
+      commercialName,
+      legalName: legalName || '',
+      sources: [...group.sources.keys()],
+      score: Math.round(score * 100) / 100
+    };
+  }).sort((a, b) => b.score - a.score);
+
+  const result = {
+    commercial: scored.length > 0 ? scored[0].commercialName : '',
+    legal: (scored.find(entry => entry.legalName) || { legalName: '' }).legalName,
+    candidates: []
+  };
+
+  scored.forEach(entry => {
+    result.candidates.push({ name: entry.commercialName, type: 'commercial', score: entry.score, sources: entry.sources });
+    if (entry.legalName) {
+      result.candidates.push({ name: entry.legalName, type: 'legal', score: entry.score, sources: entry.sources });
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  LEGAL_SUFFIX_PATTERN,
+  isLegalName,
+  stripLegalSuffix,
+  nameKey,
+  cleanName,
+  titleCandidates,
+  copyrightCandidates,
+  scoreNameCandidates
+};
@@ -0,0 +1,160 @@
+// On-demand crawl jobs for the API: a local in-process queue that crawls domains
+// with the scraper, builds their profiles and upserts them into the companies index
+const crypto = require('crypto');
+const { crawlWebsite, resultToRow } = require('./scraper');
+const { loadCrawlState, recordCrawlAttempt } = require('./crawl-state');
+const {
+  findCompanyNames,
+  buildProfile,
+  crawlInfo,
+  upsertCompany,
+  linkAliasDomains
+} = require('./data-processor');
+
+// Constants
+const CRAWL_JOB_CONCURRENCY = parseInt(process.env.CRAWL_JOB_CONCURRENCY, 10) || 2; // Domains crawled at the same time, over all jobs
+const MAX_CRAWL_JOB_DOMAINS = parseInt(process.env.MAX_CRAWL_JOB_DOMAINS, 10) || 100; // Domains accepted per request
+const MAX_RETAINED_JOBS = 200; // Finished jobs kept for GET /api/crawl/:jobId
+
+const jobs = new Map();
+const jobWaiters = new Map();
+const pendingTasks = [];
+let activeTasks = 0;
+let crawlState = null;
+
+// Queue a job crawling the given domains. Returns the job; it runs in the background.
+// trigger tells API requests ('api') from scheduled re-crawls ('schedule').
+function createCrawlJob(domains, trigger = 'api') {
+  const job = {
+    id: crypto.randomUUID(),
+    trigger,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    domains: domains.map(domain => ({
+      domain,
+      status: 'queued',
+      siteStatus: null,
+      pagesCrawled: 0,
+      changedFields: [],
+      error: null,
+      errorCategory: null
+    }))
+  };
+
+  jobs.set(job.id, job);
+  pruneJobs();
+
+  job.domains.forEach(entry => pendingTasks.push({ job, entry }));
+  drainQueue();
+
+  return job;
+}
+
+function getCrawlJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Resolves with the job once all its domains are done
+function waitForCrawlJob(job) {
+  if (job.status === 'completed') return Promise.resolve(job);
+  return new Promise(resolve => {
+    jobWaiters.set(job.id, [...(jobWaiters.get(job.id) || []), resolve]);
+  });
+}
+
+// Domains queued or being crawled by any job
+function activeCrawlDomains() {
+  const domains = new Set();
+  jobs.forEach(job => job.domains
+    .filter(entry => entry.status === 'queued' || entry.status === 'crawling')
+    .forEach(entry => domains.add(entry.domain)));
+  return domains;
+}
+
+// Progress counts of a job's domains by status
+function jobProgress(job) {
+  const progress = { total: job.domains.length, queued: 0, crawling: 0, indexed: 0, failed: 0 };
+  job.domains.forEach(entry => {
+    progress[entry.status]++;
+  });
+  progress.done = progress.indexed + progress.failed;
+  return progress;
+}
+
+function drainQueue() {
+  while (activeTasks < CRAWL_JOB_CONCURRENCY && pendingTasks.length > 0) {
+    const task = pendingTasks.shift();
+    activeTasks++;
+    runTask(task).finally(() => {
+      activeTasks--;
+      drainQueue();
+    });
+  }
+}
+
+// Crawl one domain of a job and upsert its profile
+async function runTask({ job, entry }) {
+  if (job.status === 'queued') {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+  }
+  entry.status = 'crawling';
+
+  try {
+    const result = await crawlWebsite(entry.domain);
+    entry.siteStatus = result.siteStatus || null;
+    entry.pagesCrawled = result.pagesCrawled ? result.pagesCrawled.length : 0;
+
+    // Keep the crawl state journal in step with command-line crawls
+    if (!crawlState) {
+      crawlState = loadCrawlState();
+    }
+    recordCrawlAttempt(crawlState, result);
+
+    if (result.skipped) {
+      entry.status = 'failed';
+      entry.error = result.error;
+      return;
+    }
+
+    // Names supplied in the names file still win over the names found on the site
+    const nameData = (await findCompanyNames(entry.domain)) || { domain: entry.domain };
+    const row = resultToRow(result);
+    const profile = buildProfile(nameData, row);
+    await linkAliasDomains(profile, crawlInfo(row));
+    const { changedFields } = await upsertCompany(profile);
+    
+    entry.changedFields = changedFields;
+    entry.status = result.success ? 'indexed' : 'failed';
+    entry.error = result.error || null;
+    entry.errorCategory = result.errorCategory || null;
+  } catch (error) {
+    console.error(`Error in crawl job ${job.id} for ${entry.domain}:`, error);
+    entry.status = 'failed';
+    entry.error = error.message;
+  } finally {
+    if (job.domains.every(domain => domain.status === 'indexed' || domain.status === 'failed')) {
+      job.status = 'completed';
+      job.finishedAt = new Date().toISOString();
+      (jobWaiters.get(job.id) || []).forEach(resolve => resolve(job));
+      jobWaiters.delete(job.id);
+    }
+  }
+}
+
+// Forget the oldest finished jobs once there are too many
+function pruneJobs() {
+  const finished = [...jobs.values()].filter(job => job.status === 'completed');
+  finished.slice(0, Math.max(0, jobs.size - MAX_RETAINED_JOBS)).forEach(job => jobs.delete(job.id));
+}
+
+module.exports = {
+  MAX_CRAWL_JOB_DOMAINS,
+  createCrawlJob,
+  getCrawlJob,
+  waitForCrawlJob,
+  activeCrawlDomains,
+  jobProgress
+};
@@ -0,0 +1,103 @@
+// Persistent crawl state: an append-only JSONL journal with one entry per crawl
+// attempt, so runs can resume after an interruption and skip fresh domains
+const fs = require('fs');
+const path = require('path');
+const { readRecords } = require('./record-stream');
+
+// Constants
+const CRAWL_STATE_FILE = process.env.CRAWL_STATE_FILE || './data/crawl_state.jsonl';
+const CRAWL_FRESHNESS_DAYS = process.env.CRAWL_FRESHNESS_DAYS ? parseFloat(process.env.CRAWL_FRESHNESS_DAYS) : 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rewrite the journal once it holds this many entries per domain on average
+const COMPACTION_RATIO = 3;
+
+// Load the latest entry per domain from the journal
+function loadCrawlState(file = CRAWL_STATE_FILE) {
+  const state = new Map();
+  if (!fs.existsSync(file)) return state;
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  let entryCount = 0;
+
+  lines.forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      state.set(entry.domain, entry);
+      entryCount++;
+    } catch (error) {
+      // A run killed mid-write can leave a truncated last line
+    }
+  });
+
+  if (entryCount > state.size * COMPACTION_RATIO) {
+    compactCrawlState(state, file);
+  }
+
+  return state;
+}
+
+// Latest journal entry of each of the given domains, read as a stream so a
+// large journal neither blocks the event loop nor has to fit in memory
+async function readCrawlStateEntries(domains, file = CRAWL_STATE_FILE) {
+  const wanted = new Set(domains);
+  const state = new Map();
+  if (!fs.existsSync(file)) return state;
+
+  for await (const entry of readRecords(file)) {
+    if (wanted.has(entry.domain)) {
+      state.set(entry.domain, entry);
+    }
+  }
+  return state;
+}
+
+// Replace the journal with just the latest entry per domain
+function compactCrawlState(state, file = CRAWL_STATE_FILE) {
+  const tempFile = `${file}.tmp`;
+  const content = [...state.values()].map(entry => JSON.stringify(entry)).join('\n');
+  fs.writeFileSync(tempFile, content ? `${content}\n` : '');
+  fs.renameSync(tempFile, file);
+}
+
+// Record a crawl attempt. The entry keeps the previous success time and a
+// count of consecutive failures so later runs can tell stale from failing.
+function recordCrawlAttempt(state, result, file = CRAWL_STATE_FILE) {
+  const previous = state.get(result.domain);
+  const attemptedAt = new Date().toISOString();
+  const outcome = result.success ? 'success' : (result.skipped ? 'skipped' : 'failed');
+
+  const entry = {
+    domain: result.domain,
+    lastAttemptAt: attemptedAt,
+    outcome,
+    contentHash: result.success ? result.contentHash || null : (previous ? previous.contentHash : null),
+    lastSuccessAt: result.success ? attemptedAt : (previous ? previous.lastSuccessAt : null),
+    consecutiveFailures: result.success ? 0 : ((previous ? previous.consecutiveFailures : 0) + 1),
+    error: result.error || null,
+    result
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  state.set(result.domain, entry);
+
+  return entry;
+}
+
+// A domain is fresh when its last attempt succeeded within the freshness window
+function isFresh(entry, freshnessDays = CRAWL_FRESHNESS_DAYS, now = Date.now()) {
+  if (!entry || entry.outcome !== 'success') return false;
+  return now - new Date(entry.lastAttemptAt).getTime() < freshnessDays * DAY_MS;
+}
+
+module.exports = {
+  CRAWL_STATE_FILE,
+  CRAWL_FRESHNESS_DAYS,
+  loadCrawlState,
+  readCrawlStateEntries,
+  compactCrawlState,
+  recordCrawlAttempt,
+  isFresh
+};
@@ -0,0 +1,27 @@
+// Helpers for list-valued columns in the CSV files shared by the scraper and the data processor
+
+// Lists are written as JSON arrays so values containing commas round-trip intact
+function serializeList(values) {
+  return values && values.length > 0 ? JSON.stringify(values) : '';
+}
+
+// Read a list column. Files written before lists were JSON-encoded joined them with ', '.
+function parseList(value) {
+  if (!value) return [];
+
+  if (value.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not JSON after all, fall back to the legacy format
+    }
+  }
+
+  return value.split(', ');
+}
+
+module.exports = {
+  serializeList,
+  parseList
+};
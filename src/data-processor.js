@@ -1,302 +1,659 @@
 // Data processor to merge scraped data with company names and index in ElasticSearch
 const fs = require('fs');
 const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { stringify } = require('csv-stringify/sync');
-const { client } = require('./elastic-client');
+const crypto = require('crypto');
+const { client, newIndexVersionName } = require('./elastic-client');
+const { inferDefaultRegion, normalizePhoneNumbers } = require('./phone-utils');
+const { parseAddress } = require('./address-parser');
+const { serializeList, parseList } = require('./csv-utils');
+const { parseSocialProfile, buildSocialProfiles } = require('./social-profiles');
+const { normalizeEmail, classifyEmails } = require('./email-utils');
+const { getFieldDefinitions, getIndexMappings } = require('./extractors');
+const { domainKey, crawlAliasHosts, crawlCanonicalHost, resolveAliasDomains } = require('./domain-aliases');
+const { siteStatusOf } = require('./site-status');
+const { CRAWL_STATE_FILE } = require('./crawl-state');
+const { buildProvenance } = require('./provenance');
+const { liveIndexVersion, indexStats, validateIndexVersion, swapIndexVersion, pruneIndexVersions } = require('./index-versions');
+const { companiesIndexBody, ensureSchema } = require('./index-schema');
+const { readRecords, createRecordWriter } = require('./record-stream');
+const { createBulkIndexer } = require('./bulk-indexer');
+const { newEntityId, loadEntityIds, createEntityResolver } = require('./entity-resolution');
 
-// Function to tokenize and normalize text for search
+// Constants
+const COMPANY_NAMES_FILE = process.env.COMPANY_NAMES_FILE || './data/sample-websites-company-names.csv'; // CSV or NDJSON
+const CRAWL_RESULTS_FILE = process.env.CRAWL_RESULTS_FILE || './data/crawling_results.csv'; // CSV or NDJSON
+const COMPANY_PROFILES_FILE = './data/company_profiles.ndjson';
+const COMPANY_PROFILES_CSV_FILE = './data/company_profiles.csv';
+const INGEST_PARTITIONS = parseInt(process.env.INGEST_PARTITIONS, 10) || 64; // Partition files the merge stage spreads domains over
+const INGEST_TMP_DIR = process.env.INGEST_TMP_DIR || './data/ingest';
+const NAMES_LOOKUP_DIR = process.env.NAMES_LOOKUP_DIR || './data/names-lookup'; // Names file split by domain for single-domain lookups
+const NAMES_LOOKUP_PARTITIONS = 256;
+
+// Extractor fields the profile builds itself; any other indexed field is copied as-is
+const PROFILE_FIELDS = ['phoneNumbers', 'phoneRegion', 'socialMediaLinks', 'socialProfiles', 'addresses', 'postalAddresses', 'emails', 'emailDetails'];
+
+// Function to tokenize and normalize text for search. Accents on Latin
+// letters are folded ("Café" -> "cafe"); letters of every script are kept.
 function tokenize(text) {
   if (!text) return [];
   return text.toLowerCase()
-    .replace(/[^\w\s]/g, ' ')  // Replace non-alphanumeric with spaces
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1')  // Drop the accents split off above
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')  // Replace non-alphanumeric with spaces
     .split(/\s+/)              // Split on whitespace
     .filter(token => token.length > 1); // Filter out single-character tokens
 }
 
-// Load the companies name data
-function loadCompanyNames() {
+// Build of the names lookup: { stamp, ready }, shared by concurrent lookups
+let namesLookup = null;
+
+// Split the names file over NAMES_LOOKUP_PARTITIONS files by domain. The stamp
+// (size and modification time of the names file) is written last, so a lookup
+// built from the same file is reused across runs and an interrupted one isn't.
+async function buildNamesLookup(stamp) {
+  const stampFile = path.join(NAMES_LOOKUP_DIR, 'stamp');
+  if (fs.existsSync(stampFile) && fs.readFileSync(stampFile, 'utf8') === stamp) return;
+
+  fs.rmSync(NAMES_LOOKUP_DIR, { recursive: true, force: true });
+  fs.mkdirSync(NAMES_LOOKUP_DIR, { recursive: true });
+  const writers = Array.from({ length: NAMES_LOOKUP_PARTITIONS }, (_, i) =>
+    createRecordWriter(path.join(NAMES_LOOKUP_DIR, `${i}.ndjson`)));
+
+  try {
+    for await (const record of readRecords(COMPANY_NAMES_FILE)) {
+      if (record.domain) await writers[partitionOf(record.domain, NAMES_LOOKUP_PARTITIONS)].write(record);
+    }
+  } finally {
+    await Promise.all(writers.map(writer => writer.close()));
+  }
+  fs.writeFileSync(stampFile, stamp);
+}
+
+// Names file row of a domain; null when it has none. The names file is split
+// by domain once (again when it changes), so a lookup reads one partition.
+async function findCompanyNames(domain) {
+  if (!fs.existsSync(COMPANY_NAMES_FILE)) return null;
+
+  const { size, mtimeMs } = fs.statSync(COMPANY_NAMES_FILE);
+  const stamp = `${path.resolve(COMPANY_NAMES_FILE)} ${size} ${mtimeMs}`;
+  if (!namesLookup || namesLookup.stamp !== stamp) {
+    namesLookup = { stamp, ready: buildNamesLookup(stamp) };
+  }
+  const { ready } = namesLookup;
   try {
-    const csvFile = fs.readFileSync('./data/sample-websites-company-names.csv', 'utf8');
-    return parse(csvFile, { columns: true });
+    await ready;
   } catch (error) {
-    console.error('Error loading company names:', error);
-    return [];
+    // Built again by the next lookup
+    if (namesLookup && namesLookup.ready === ready) namesLookup = null;
+    throw error;
+  }
+
+  const file = path.join(NAMES_LOOKUP_DIR, `${partitionOf(domain, NAMES_LOOKUP_PARTITIONS)}.ndjson`);
+  for await (const record of readRecords(file)) {
+    if (record.domain === domain) return record;
   }
+  return null;
 }
 
-// Load the scraped data
-function loadScrapedData() {
+// Parse a JSON-encoded column from crawling_results.csv
+function parseJsonColumn(value) {
+  if (!value) return null;
   try {
-    if (fs.existsSync('./data/crawling_results.csv')) {
-      const csvFile = fs.readFileSync('./data/crawling_results.csv', 'utf8');
-      return parse(csvFile, { columns: true });
-    } else {
-      console.warn('Warning: crawling_results.csv not found. Using empty dataset.');
-      return [];
-    }
+    return JSON.parse(value);
   } catch (error) {
-    console.error('Error loading scraped data:', error);
-    return [];
+    return null;
   }
 }
 
-// Merge the datasets and prepare for search indexing
-async function mergeData() {
-  console.log('Starting data merge process...');
+// company_all_available_names holds names separated by " | "
+function splitNames(value) {
+  return value ? value.split(' | ') : [];
+}
+
+// Drop empty and repeated names, keeping the first spelling
+function mergeNames(names) {
+  const seen = new Set();
+  return names.filter(name => {
+    const key = name && name.trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Read the extractor fields of a crawling_results.csv row by their type
+function readExtractedFields(row) {
+  const fields = {};
+  getFieldDefinitions().forEach((definition, field) => {
+    if (definition.type === 'list') {
+      fields[field] = parseList(row[field]);
+    } else if (definition.type === 'object') {
+      fields[field] = parseJsonColumn(row[field]);
+    } else if (definition.type === 'number') {
+      const number = row[field] === undefined || row[field] === '' ? NaN : Number(row[field]);
+      fields[field] = Number.isFinite(number) ? number : null;
+    } else {
+      fields[field] = row[field] || '';
+    }
+  });
+  return fields;
+}
+
+// Indexed extractor fields not built into the profile, i.e. those added by plugins
+function indexedExtractorFields(fields) {
+  const indexed = {};
+  Object.keys(getIndexMappings())
+    .filter(field => !PROFILE_FIELDS.includes(field))
+    .forEach(field => {
+      indexed[field] = fields[field];
+    });
+  return indexed;
+}
+
+// Build the company profile of a domain from its row in the names file and its
+// crawling_results.csv row (undefined when the domain wasn't crawled)
+function buildProfile(nameData, scrapedRow) {
+  const domain = nameData.domain;
+  const scrapedInfo = scrapedRow || {};
   
-  const companyNames = loadCompanyNames();
-  console.log(`Loaded ${companyNames.length} company names.`);
+  // Parse the extractor columns, whatever their CSV format
+  const extracted = readExtractedFields(scrapedInfo);
+  const { phoneNumbers, addresses, structuredData } = extracted;
   
-  const scrapedData = loadScrapedData();
-  console.log(`Loaded ${scrapedData.length} scraped records.`);
+  // E.164 phone numbers, parsed for the region the site is written for
+  const phoneRegion = scrapedInfo.phoneRegion || inferDefaultRegion(domain, addresses);
+  const phoneNumbersNormalized = normalizePhoneNumbers(phoneNumbers, phoneRegion);
   
-  // Create a map from domain to scraped data for faster lookup
-  const scrapedDataMap = scrapedData.reduce((map, item) => {
-    map[item.domain] = item;
-    return map;
-  }, {});
+  // Canonical social profiles. Older crawl results hold raw links, including share buttons.
+  const socialMediaLinks = [...new Set(extracted.socialMediaLinks
+    .map(link => parseSocialProfile(link))
+    .filter(Boolean)
+    .map(profile => profile.url))];
+  const socialProfiles = extracted.socialProfiles || buildSocialProfiles(socialMediaLinks);
   
-  // Merge the data
-  const mergedData = companyNames.map(nameData => {
-    const domain = nameData.domain;
-    const scrapedInfo = scrapedDataMap[domain] || {};
-    
-    // Parse arrays from string format or initialize empty arrays
-    const phoneNumbers = scrapedInfo.phoneNumbers ? scrapedInfo.phoneNumbers.split(', ') : [];
-    const socialMediaLinks = scrapedInfo.socialMediaLinks ? scrapedInfo.socialMediaLinks.split(', ') : [];
-    const addresses = scrapedInfo.addresses ? scrapedInfo.addresses.split(', ') : [];
-    const emails = scrapedInfo.emails ? scrapedInfo.emails.split(', ') : [];
-    
-    // Create search tokens from all text fields
-    const searchTokens = new Set([
-      ...tokenize(nameData.company_commercial_name),
-      ...tokenize(nameData.company_legal_name),
-      ...tokenize(nameData.company_all_available_names),
-      ...tokenize(domain),
-      ...phoneNumbers.flatMap(tokenize),
-      ...socialMediaLinks.flatMap(tokenize),
-      ...addresses.flatMap(tokenize),
-      ...emails.flatMap(tokenize)
-    ]);
-    
-    return {
-      domain,
-      company_commercial_name: nameData.company_commercial_name,
-      company_legal_name: nameData.company_legal_name || '',
-      company_all_available_names: nameData.company_all_available_names,
-      phoneNumbers,
-      socialMediaLinks,
-      addresses,
-      emails,
-      success: scrapedInfo.success === 'true' || Boolean(scrapedInfo.success),
-      searchTokens: Array.from(searchTokens)
-    };
-  });
+  // Validated and classified emails. Older crawl results may still hold asset
+  // filenames and placeholders, and have no classification.
+  const emails = [...new Set(extracted.emails.map(normalizeEmail).filter(Boolean))];
+  const emailDetails = scrapedInfo.emailDetails ? extracted.emailDetails :
+    classifyEmails(emails, domain.replace(/^https?:\/\//, '').replace(/\/.*$/, ''));
   
-  console.log(`Created ${mergedData.length} merged records.`);
+  // Address components, parsed by the scraper or here for older crawl results
+  const postalAddresses = scrapedInfo.postalAddresses ? extracted.postalAddresses :
+    addresses.map(address => parseAddress(address, phoneRegion));
   
-  // Save as JSON for potential future use
-  fs.writeFileSync('./data/company_profiles.json', JSON.stringify(mergedData, null, 2));
-  console.log('Saved merged data to ./data/company_profiles.json');
+  // Fall back to the legal name published in the site's structured data
+  const siteNames = extracted.companyNames;
+  const legalName = nameData.company_legal_name || (structuredData && structuredData.legalName) ||
+    (siteNames && siteNames.legal) || '';
+  const commercialName = nameData.company_commercial_name || (siteNames && siteNames.commercial) || '';
+  
+  // Names found on the site go after the names supplied in the CSV
+  const allNames = mergeNames([
+    ...splitNames(nameData.company_all_available_names),
+    commercialName,
+    legalName,
+    ...(siteNames ? siteNames.candidates.map(candidate => candidate.name) : [])
+  ]).join(' | ');
+  
+  // Create search tokens from all text fields
+  const searchTokens = new Set([
+    ...tokenize(commercialName),
+    ...tokenize(legalName),
+    ...tokenize(allNames),
+    ...tokenize(domain),
+    ...phoneNumbers.flatMap(tokenize),
+    ...phoneNumbersNormalized.flatMap(tokenize),
+    ...socialMediaLinks.flatMap(tokenize),
+    ...addresses.flatMap(tokenize),
+    ...emails.flatMap(tokenize)
+  ]);
+  
+  const profile = {
+    domain,
+    company_commercial_name: commercialName,
+    company_legal_name: legalName,
+    company_all_available_names: allNames,
+    phoneNumbers,
+    phoneNumbersNormalized,
+    phoneRegion,
+    socialMediaLinks,
+    socialProfiles,
+    addresses,
+    postalAddresses,
+    emails,
+    emailDetails,
+    success: scrapedInfo.success === 'true' || Boolean(scrapedInfo.success),
+    // active, parked, for-sale, ...; null when the domain wasn't crawled
+    siteStatus: scrapedRow ? siteStatusOf(scrapedRow) : null,
+    searchTokens: Array.from(searchTokens),
+    // Fields added by extractor plugins
+    ...indexedExtractorFields(extracted)
+  };
+  
+  // Where, how and when every value was found, and how far it can be trusted
+  profile.provenance = buildProvenance(profile, nameData, {
+    valueSources: parseJsonColumn(scrapedInfo.valueSources),
+    homepage: parseList(scrapedInfo.pagesCrawled)[0] || null,
+    siteNames,
+    structuredData
+  });
   
-  // Also save as CSV for easy viewing
-  const csvData = mergedData.map(item => ({
+  return profile;
+}
+
+// Redirect and canonical URL details of a crawling_results.csv row, used to resolve alias domains
+function crawlInfo(row) {
+  return {
+    redirectChain: parseJsonColumn(row.redirectChain),
+    finalHost: row.finalHost,
+    canonicalUrl: row.canonicalUrl
+  };
+}
+
+// Partition of a domain: a stable hash, so every record of a domain lands in the same file
+function partitionOf(domain, partitions = INGEST_PARTITIONS) {
+  return crypto.createHash('md5').update(String(domain)).digest().readUInt32BE(0) % partitions;
+}
+
+// Crawls that point at another host (redirects, rel=canonical), which make
+// their domain an alias, and the hosts they point at
+async function findAliasCrawls() {
+  const aliasCrawls = new Map();
+  const targetHosts = new Set();
+  if (!fs.existsSync(CRAWL_RESULTS_FILE)) return { aliasCrawls, targetHosts };
+
+  for await (const row of readRecords(CRAWL_RESULTS_FILE)) {
+    const crawl = crawlInfo(row);
+    if (row.domain && crawlAliasHosts(row.domain, crawl).length > 0) {
+      aliasCrawls.set(row.domain, crawl);
+      targetHosts.add(crawlCanonicalHost(row.domain, crawl));
+    }
+  }
+  return { aliasCrawls, targetHosts };
+}
+
+// Spread the crawl results, the names file and the crawl state journal over
+// INGEST_PARTITIONS files by domain, so each partition can be merged in memory
+// on its own. Returns the record counts and the profile domains of targetHosts.
+async function partitionRecords(targetHosts) {
+  fs.rmSync(INGEST_TMP_DIR, { recursive: true, force: true });
+  fs.mkdirSync(INGEST_TMP_DIR, { recursive: true });
+  const writers = Array.from({ length: INGEST_PARTITIONS }, (_, i) =>
+    createRecordWriter(path.join(INGEST_TMP_DIR, `${i}.ndjson`)));
+
+  const counts = { crawl: 0, names: 0, state: 0 };
+  const targetDomains = new Map();
+  const sources = [['crawl', CRAWL_RESULTS_FILE], ['names', COMPANY_NAMES_FILE], ['state', CRAWL_STATE_FILE]];
+
+  try {
+    for (const [source, file] of sources) {
+      if (!fs.existsSync(file)) {
+        console.warn(`Warning: ${file} not found. Using empty dataset.`);
+        continue;
+      }
+      for await (const record of readRecords(file)) {
+        if (!record.domain) continue;
+        // Only the crawl times are needed from the journal
+        const entry = source === 'state' ? { domain: record.domain, lastSuccessAt: record.lastSuccessAt || null } : record;
+        await writers[partitionOf(record.domain)].write({ source, record: entry });
+        counts[source]++;
+        if (source !== 'state' && targetHosts.has(domainKey(record.domain))) {
+          targetDomains.set(domainKey(record.domain), record.domain);
+        }
+      }
+    }
+  } finally {
+    await Promise.all(writers.map(writer => writer.close()));
+  }
+
+  return { counts, targetDomains };
+}
+
+// aliasDomains and canonicalDomain of the profiles involved in aliases: the
+// domains whose crawl points elsewhere and the profiles they point at
+function resolveAliases(aliasCrawls, targetDomains) {
+  const profiles = new Map();
+  [...aliasCrawls.keys(), ...targetDomains.values()].forEach(domain => profiles.set(domain, { domain }));
+  resolveAliasDomains([...profiles.values()], aliasCrawls);
+  return profiles;
+}
+
+// Profiles of one partition. Domains of the names file come first, then
+// crawled domains missing from it, which are named from their own pages.
+async function* mergePartition(file, aliases) {
+  const names = new Map();
+  const crawls = new Map();
+  const crawlTimes = new Map();
+
+  for await (const { source, record } of readRecords(file)) {
+    if (source === 'names') names.set(record.domain, record);
+    else if (source === 'crawl') crawls.set(record.domain, record);
+    else crawlTimes.set(record.domain, record.lastSuccessAt);
+  }
+
+  const domains = new Set([...names.keys(), ...crawls.keys()]);
+  for (const domain of domains) {
+    const profile = buildProfile(names.get(domain) || { domain }, crawls.get(domain));
+    
+    // Domains that redirect to (or name as canonical) another site become aliases of it
+    const alias = aliases.get(domain);
+    profile.aliasDomains = alias ? alias.aliasDomains : [];
+    if (alias && alias.canonicalDomain) {
+      profile.canonicalDomain = alias.canonicalDomain;
+    }
+    
+    // Crawl times from the crawl state journal; the re-crawl scheduler picks profiles by lastCrawledAt
+    profile.lastCrawledAt = crawlTimes.get(domain) || null;
+    // Kept by profiles new to the index; indexCompanies() carries over the live version's for the others
+    profile.lastChangedAt = profile.lastCrawledAt;
+    
+    // Values crawled before page fetch times were recorded date from the last successful crawl
+    Object.values(profile.provenance).flat()
+      .filter(record => record.method !== 'csv' && !record.crawledAt)
+      .forEach(record => {
+        record.crawledAt = profile.lastCrawledAt;
+      });
+    
+    yield profile;
+  }
+}
+
+// The company_profiles.csv row of a profile, for easy viewing
+function profileCsvRow(item) {
+  return {
     domain: item.domain,
     company_commercial_name: item.company_commercial_name,
     company_legal_name: item.company_legal_name,
     company_all_available_names: item.company_all_available_names,
     phoneNumbers: item.phoneNumbers.join(', '),
+    phoneNumbersNormalized: item.phoneNumbersNormalized.join(', '),
     socialMediaLinks: item.socialMediaLinks.join(', '),
-    addresses: item.addresses.join(', '),
+    socialProfiles: JSON.stringify(item.socialProfiles),
+    addresses: serializeList(item.addresses),
+    postalAddresses: JSON.stringify(item.postalAddresses),
     emails: item.emails.join(', '),
-    success: item.success
-  }));
+    emailDetails: JSON.stringify(item.emailDetails),
+    aliasDomains: item.aliasDomains.join(', '),
+    canonicalDomain: item.canonicalDomain || '',
+    success: item.success,
+    siteStatus: item.siteStatus || '',
+    lastCrawledAt: item.lastCrawledAt || ''
+  };
+}
+
+// Merged profiles of every partition, saved to the profile files on the way through
+async function* mergedProfiles(aliases, summary) {
+  const jsonWriter = createRecordWriter(COMPANY_PROFILES_FILE);
+  const csvWriter = createRecordWriter(COMPANY_PROFILES_CSV_FILE);
+
+  try {
+    for (let i = 0; i < INGEST_PARTITIONS; i++) {
+      for await (const profile of mergePartition(path.join(INGEST_TMP_DIR, `${i}.ndjson`), aliases)) {
+        await jsonWriter.write(profile);
+        await csvWriter.write(profileCsvRow(profile));
+        summary.profiles++;
+        if (profile.canonicalDomain) summary.aliases++;
+        yield profile;
+      }
+    }
+  } finally {
+    await Promise.all([jsonWriter.close(), csvWriter.close()]);
+  }
+}
+
+// Merge the datasets and index them, streaming: the inputs are read record by
+// record, merged by domain one partition at a time and bulk indexed as they
+// are built, so memory doesn't grow with the dataset. force swaps in the new
+// index version even when it fails validation. Returns { profiles, aliases, indexed }.
+async function mergeData({ force = false } = {}) {
+  console.log('Starting data merge process...');
+  
+  const { aliasCrawls, targetHosts } = await findAliasCrawls();
+  const { counts, targetDomains } = await partitionRecords(targetHosts);
+  console.log(`Loaded ${counts.names} company names and ${counts.crawl} scraped records into ${INGEST_PARTITIONS} partitions.`);
+  
+  const aliases = resolveAliases(aliasCrawls, targetDomains);
+  const summary = { profiles: 0, aliases: 0, indexed: 0 };
   
-  const outputCsv = stringify(csvData, { header: true });
-  fs.writeFileSync('./data/company_profiles.csv', outputCsv);
-  console.log('Saved merged data to ./data/company_profiles.csv');
+  try {
+    summary.indexed = await indexCompanies(mergedProfiles(aliases, summary), { force });
+  } finally {
+    fs.rmSync(INGEST_TMP_DIR, { recursive: true, force: true });
+  }
   
-  // Index the merged data in ElasticSearch
-  await indexCompanies(mergedData);
+  console.log(`Created ${summary.profiles} merged records (${summary.aliases} aliases of another profile).`);
+  console.log(`Saved merged data to ${COMPANY_PROFILES_FILE} and ${COMPANY_PROFILES_CSV_FILE}`);
   
-  return mergedData;
+  return summary;
 }
 
-// Index company data in ElasticSearch
-async function indexCompanies(companies) {
+// Index company data in ElasticSearch. companies may be an array or an async
+// iterable of profiles; they are bulk indexed as they arrive. The companies are
+// loaded into a new index version, which replaces the live one only once it
+// passes validation; searches keep using the live version until then. force
+// skips the validation. Before validation, profiles of the same company are
+// resolved into entities, keeping the entity ids of the live version.
+async function indexCompanies(companies, { force = false } = {}) {
+  const index = newIndexVersionName();
+  const startedAt = new Date().toISOString();
   try {
-    console.log(`Indexing ${companies.length} companies in ElasticSearch...`);
+    console.log(`Indexing companies in ElasticSearch (${index})...`);
     
-    // Check if index exists, if not create it with proper mappings
-    const indexExists = await client.indices.exists({ index: 'companies' });
+    await client.indices.create({ index, body: companiesIndexBody() });
     
-    if (!indexExists) {
-      console.log('Creating companies index with mappings...');
-      await client.indices.create({
-        index: 'companies',
-        body: {
-          mappings: {
-            properties: {
-              domain: { type: 'keyword' },
-              company_commercial_name: { 
-                type: 'text',
-                fields: {
-                  keyword: { type: 'keyword' },
-                  completion: { type: 'completion' }
-                },
-                analyzer: 'standard'
-              },
-              company_legal_name: { 
-                type: 'text',
-                fields: { keyword: { type: 'keyword' } }
-              },
-              company_all_available_names: { type: 'text' },
-              phoneNumbers: { type: 'keyword' },
-              socialMediaLinks: { type: 'keyword' },
-              addresses: { type: 'text' },
-              emails: { type: 'keyword' },
-              searchTokens: { type: 'text' }
-            }
-          },
-          settings: {
-            'index.mapping.coerce': true,
-            'index.number_of_shards': 1,
-            'index.number_of_replicas': 0
-          }
-        }
-      });
-    } else {
-      console.log('Companies index already exists. Continuing with indexing...');
+    const indexer = createBulkIndexer(index);
+    const entities = createEntityResolver();
+    for await (const company of companies) {
+      entities.add(company);
+      await indexer.add(company);
+    }
+    const { sent, failed, failures } = await indexer.flush();
+    if (failed > 0) {
+      console.error(`Errors during bulk indexing (${failed} items):`, failures.map(failure => `${failure.id}: ${failure.reason}`));
     }
     
-    // Delete any existing data
-    await client.deleteByQuery({
-      index: 'companies',
-      body: {
-        query: { match_all: {} }
-      },
-      refresh: true
-    });
+    await assignEntities(index, entities);
     
-    // Prepare bulk indexing operations
-    const operations = [];
+    // Verify data was indexed correctly by checking the document count and fill rates
+    const stats = await indexStats(index);
+    console.log(`Successfully indexed ${stats.documents} companies in ElasticSearch`);
+    reportIndexStats(stats);
     
-    companies.forEach(company => {
-      operations.push(
-        { index: { _index: 'companies', _id: company.domain } },
-        company
-      );
-      
-      // Execute in batches of 500 to avoid request size limits
-      if (operations.length >= 1000) {
-        bulkIndex(operations.splice(0, operations.length));
+    const live = await liveIndexVersion();
+    const problems = validateIndexVersion(stats, sent, live ? await indexStats(live) : null);
+    if (problems.length > 0) {
+      if (!force) {
+        throw new Error(`Index ${index} failed validation: ${problems.join('; ')}`);
       }
-    });
-    
-    // Index any remaining operations
-    if (operations.length > 0) {
-      await bulkIndex(operations);
+      console.warn(`Swapping in ${index} despite failed validation: ${problems.join('; ')}`);
     }
     
-    // Refresh the index to make the operations visible to search
-    await client.indices.refresh({ index: 'companies' });
-    
-    // Get the document count to verify indexing
-    const count = await client.count({ index: 'companies' });
-    console.log(`Successfully indexed ${count.count} companies in ElasticSearch`);
+    // Crawls indexed through the alias meanwhile went to the live version
+    await swapIndexVersion(index, { writesSince: startedAt });
+    await pruneIndexVersions();
     
-    // Verify data was indexed correctly by checking fill rates
-    await verifyIndexedData();
-    
-    return count.count;
+    return stats.documents;
   } catch (error) {
     console.error('Error indexing data in ElasticSearch:', error);
+    // The live version stays in place; a rejected or half-built version is dropped
+    if ((await liveIndexVersion().catch(() => null)) !== index) {
+      await client.indices.delete({ index }, { ignore: [404] }).catch(() => {});
+    }
     throw error;
   }
 }
 
-// Helper function to execute bulk indexing
-async function bulkIndex(operations) {
-  try {
-    const { errors, items } = await client.bulk({
-      operations,
-      refresh: true
-    });
-    
-    if (errors) {
-      const erroredItems = items.filter(item => item.index && item.index.error);
-      console.error(`Errors during bulk indexing (${erroredItems.length} items):`, 
-        erroredItems.map(item => item.index.error.reason));
-    }
-  } catch (error) {
-    console.error('Bulk indexing error:', error);
-    throw error;
+// The lastChangedAt of every domain in an index version
+async function loadLastChangedAt(index) {
+  const lastChanged = new Map();
+  const documents = client.helpers.scrollDocuments({
+    index,
+    size: 1000,
+    _source: ['domain', 'lastChangedAt'],
+    query: { exists: { field: 'lastChangedAt' } }
+  });
+  for await (const document of documents) {
+    lastChanged.set(domainKey(document.domain), document.lastChangedAt);
   }
+  return lastChanged;
 }
 
-// Verify the data was indexed correctly by querying for fill rates
-async function verifyIndexedData() {
-  try {
-    // Get total count
-    const { count: totalCompanies } = await client.count({ index: 'companies' });
-    
-    // Get companies with phone numbers
-    const { count: companiesWithPhone } = await client.count({
+// Resolve the indexed profiles into entities and write their entityId and
+// canonical domain to the index version. Ids of the live version are reused,
+// and so is its lastChangedAt: a rebuild doesn't change a company's data, and
+// only profiles new to the index keep the lastCrawledAt they were built with.
+async function assignEntities(index, entities) {
+  const live = await liveIndexVersion();
+  const previousIds = live ? await loadEntityIds(live) : new Map();
+  const previousChanges = live ? await loadLastChangedAt(live) : new Map();
+  const assignments = entities.resolve(previousIds);
+  
+  const sizes = new Map();
+  assignments.forEach(({ entityId }) => sizes.set(entityId, (sizes.get(entityId) || 0) + 1));
+  const shared = [...sizes.values()].filter(size => size > 1);
+  console.log(`Resolved ${assignments.size} companies into ${sizes.size} entities; ` +
+    `${shared.length} span several domains (largest: ${Math.max(0, ...shared)})`);
+  
+  const updater = createBulkIndexer(index, { action: 'update' });
+  for (const [domain, entity] of assignments) {
+    const lastChangedAt = previousChanges.get(domainKey(domain));
+    await updater.add(lastChangedAt ? { domain, ...entity, lastChangedAt } : { domain, ...entity });
+  }
+  const { failed, failures } = await updater.flush();
+  if (failed > 0) {
+    console.error(`Errors assigning entities (${failed} items):`, failures.map(failure => `${failure.id}: ${failure.reason}`));
+  }
+}
+
+// Upsert one company profile without touching the other documents. Only the
+// fields that differ from the indexed document are written. lastCrawledAt
+// records every successful crawl and lastChangedAt every crawl that changed
+// something. A failed crawl says nothing new about the company's data, so for
+// an existing document only its site status can change. The provenance of a
+// successful crawl is always written: its crawl timestamps move on every crawl,
+// so it doesn't count as a change. A new company is an entity of its own
+// until the next full indexing run resolves entities.
+// Returns { created, changedFields }.
+async function upsertCompany(profile) {
+  await ensureSchema();
+  
+  const now = new Date().toISOString();
+  const existing = await client.get({ index: 'companies', id: profile.domain }, { ignore: [404] });
+  
+  if (!existing.found) {
+    await client.index({
       index: 'companies',
-      body: {
-        query: {
-          exists: { field: "phoneNumbers" }
-        }
-      }
+      id: profile.domain,
+      document: {
+        ...profile,
+        entityId: newEntityId([profile.domain]),
+        entityCanonicalDomain: profile.domain,
+        lastCrawledAt: profile.success ? now : null,
+        lastChangedAt: now
+      },
+      refresh: 'wait_for'
     });
-    
-    // Get companies with social media
-    const { count: companiesWithSocial } = await client.count({
+    return { created: true, changedFields: Object.keys(profile) };
+  }
+  
+  const { provenance, ...fields } = profile;
+  const changes = changedFields(existing._source, profile.success ? fields : { siteStatus: profile.siteStatus });
+  const doc = { ...changes };
+  if (profile.success) {
+    doc.lastCrawledAt = now;
+    doc.provenance = provenance;
+  }
+  if (Object.keys(changes).length > 0) {
+    doc.lastChangedAt = now;
+  }
+  
+  if (Object.keys(doc).length > 0) {
+    await client.update({
       index: 'companies',
-      body: {
-        query: {
-          exists: { field: "socialMediaLinks" }
-        }
-      }
+      id: profile.domain,
+      doc,
+      refresh: 'wait_for'
     });
-    
-    // Get companies with addresses
-    const { count: companiesWithAddress } = await client.count({
-      index: 'companies',
-      body: {
-        query: {
-          exists: { field: "addresses" }
-        }
+  }
+  
+  return { created: false, changedFields: Object.keys(changes) };
+}
+
+// Fields of a freshly built profile that differ from the indexed document.
+// Alias domains are collected from other profiles' crawls too, so they are only ever added.
+function changedFields(existing, profile) {
+  const changes = {};
+  Object.entries(profile).forEach(([field, value]) => {
+    const updated = field === 'aliasDomains'
+      ? [...new Set([...(existing.aliasDomains || []), ...value])]
+      : value;
+    if (JSON.stringify(updated) !== JSON.stringify(existing[field])) {
+      changes[field] = updated;
+    }
+  });
+  return changes;
+}
+
+// Resolve the aliases of a single profile against the index. When the domain
+// redirects to (or names as canonical) an indexed company, it becomes that
+// company's alias instead of a profile of its own.
+async function linkAliasDomains(profile, crawl) {
+  resolveAliasDomains([profile], new Map([[profile.domain, crawl]]));
+  
+  const canonicalHost = crawlCanonicalHost(profile.domain, crawl);
+  if (canonicalHost === domainKey(profile.domain)) return profile;
+  
+  const result = await client.search({
+    index: 'companies',
+    size: 1,
+    query: {
+      bool: {
+        should: [
+          { term: { domain: canonicalHost } },
+          { term: { domain: `www.${canonicalHost}` } }
+        ],
+        minimum_should_match: 1,
+        must_not: [{ exists: { field: 'canonicalDomain' } }]
       }
-    });
-    
-    // Get companies with email
-    const { count: companiesWithEmail } = await client.count({
-      index: 'companies',
-      body: {
-        query: {
-          exists: { field: "emails" }
-        }
+    }
+  });
+  const canonical = result.hits.hits[0];
+  if (!canonical) return profile;
+  
+  profile.canonicalDomain = canonical._source.domain;
+  await client.update({
+    index: 'companies',
+    id: canonical._id,
+    script: {
+      source: 'if (ctx._source.aliasDomains == null) { ctx._source.aliasDomains = []; } ' +
+        'for (alias in params.aliases) { if (!ctx._source.aliasDomains.contains(alias)) { ctx._source.aliasDomains.add(alias); ctx._source.lastChangedAt = params.now; } }',
+      params: {
+        aliases: [domainKey(profile.domain), ...profile.aliasDomains].filter(host => host !== canonicalHost),
+        now: new Date().toISOString()
       }
-    });
-    
-    console.log('\n--- ElasticSearch Index Fill Rates ---');
-    console.log(`Total companies: ${totalCompanies}`);
-    console.log(`Companies with phone numbers: ${companiesWithPhone} (${(companiesWithPhone / totalCompanies * 100).toFixed(2)}%)`);
-    console.log(`Companies with social media: ${companiesWithSocial} (${(companiesWithSocial / totalCompanies * 100).toFixed(2)}%)`);
-    console.log(`Companies with addresses: ${companiesWithAddress} (${(companiesWithAddress / totalCompanies * 100).toFixed(2)}%)`);
-    console.log(`Companies with emails: ${companiesWithEmail} (${(companiesWithEmail / totalCompanies * 100).toFixed(2)}%)`);
-    
-  } catch (error) {
-    console.error('Error verifying indexed data:', error);
-  }
+    },
+    refresh: 'wait_for'
+  });
+  
+  return profile;
+}
+
+// Print the fill rates of an index version
+function reportIndexStats({ documents, fillRates, withoutSite }) {
+  console.log('\n--- ElasticSearch Index Fill Rates ---');
+  console.log(`Total companies: ${documents}`);
+  console.log(`Companies with phone numbers: ${Math.round(fillRates.phoneNumbers * documents)} (${(fillRates.phoneNumbers * 100).toFixed(2)}%)`);
+  console.log(`Companies with social media: ${Math.round(fillRates.socialMediaLinks * documents)} (${(fillRates.socialMediaLinks * 100).toFixed(2)}%)`);
+  console.log(`Companies with addresses: ${Math.round(fillRates.addresses * documents)} (${(fillRates.addresses * 100).toFixed(2)}%)`);
+  console.log(`Companies with emails: ${Math.round(fillRates.emails * documents)} (${(fillRates.emails * 100).toFixed(2)}%)`);
+  console.log(`Companies without a site (parked, for sale, under construction): ${withoutSite}`);
 }
 
 // Run the merge process if this file is executed directly
 if (require.main === module) {
   try {
-    mergeData().catch(error => {
+    mergeData({ force: process.argv.includes('--force') }).catch(error => {
       console.error('Error in merge process:', error);
       process.exit(1);
     });
@@ -306,4 +663,14 @@ if (require.main === module) {
   }
 }
 
-module.exports = { mergeData, tokenize, indexCompanies };
\ No newline at end of file
+module.exports = {
+  COMPANY_PROFILES_FILE,
+  mergeData,
+  tokenize,
+  findCompanyNames,
+  buildProfile,
+  crawlInfo,
+  indexCompanies,
+  upsertCompany,
+  linkAliasDomains
+};
\ No newline at end of file
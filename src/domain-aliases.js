@@ -0,0 +1,93 @@
+// Domain aliases: domains that redirect to, or declare as canonical, another
+// company's site. Every alias resolves to a single canonical profile.
+const { siteHost } = require('./url-utils');
+const { isPlaceholderHost } = require('./site-status');
+
+// Lowercased hostname without "www." for a domain, hostname or URL
+function domainKey(input) {
+  const text = String(input || '').trim().toLowerCase();
+  if (!text) return '';
+
+  try {
+    return siteHost(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return '';
+  }
+}
+
+// A host a crawl points at that can stand for the company: not the domain
+// itself, and not a domain marketplace or parking service
+function companyHost(host, own) {
+  return Boolean(host) && host !== own && !isPlaceholderHost(host);
+}
+
+// Hosts a crawl result points at besides its own domain: the final host and
+// the host of the homepage's rel=canonical. Intermediate redirect hops
+// (trackers, link shorteners, marketplaces) aren't the company's.
+function crawlAliasHosts(domain, { finalHost, canonicalUrl }) {
+  const own = domainKey(domain);
+  const hosts = [domainKey(finalHost), domainKey(canonicalUrl)];
+  return [...new Set(hosts.filter(host => companyHost(host, own)))];
+}
+
+// The host a crawl says the company really lives at: where the homepage
+// redirected to, otherwise the host its rel=canonical names
+function crawlCanonicalHost(domain, { finalHost, canonicalUrl }) {
+  const own = domainKey(domain);
+  const redirected = domainKey(finalHost);
+  if (companyHost(redirected, own)) return redirected;
+
+  const declared = domainKey(canonicalUrl);
+  return companyHost(declared, own) ? declared : own;
+}
+
+// Set aliasDomains on every profile and canonicalDomain on profiles that are
+// aliases of another profile. crawls maps a profile's domain to its
+// { redirectChain, finalHost, canonicalUrl }. When oldbrand.com redirects to
+// newbrand.com and both have a profile, newbrand.com's profile gets
+// oldbrand.com as an alias and oldbrand.com's profile points at it.
+function resolveAliasDomains(profiles, crawls) {
+  const profilesByKey = new Map(profiles.map(profile => [domainKey(profile.domain), profile]));
+
+  const targets = new Map();
+  profiles.forEach(profile => {
+    const crawl = crawls.get(profile.domain) || {};
+    profile.aliasDomains = crawlAliasHosts(profile.domain, crawl);
+    targets.set(profile, profilesByKey.get(crawlCanonicalHost(profile.domain, crawl)) || profile);
+  });
+
+  // Follow chains (a -> b -> c) to their end; a cycle keeps the profile where it is
+  const canonicalOf = profile => {
+    const visited = new Set([profile]);
+    let current = profile;
+    while (targets.get(current) !== current) {
+      const next = targets.get(current);
+      if (visited.has(next)) return profile;
+      visited.add(next);
+      current = next;
+    }
+    return current;
+  };
+
+  profiles.forEach(profile => {
+    const canonical = canonicalOf(profile);
+    if (canonical === profile) return;
+
+    profile.canonicalDomain = canonical.domain;
+    const canonicalKey = domainKey(canonical.domain);
+    canonical.aliasDomains = [...new Set([
+      ...canonical.aliasDomains,
+      domainKey(profile.domain),
+      ...profile.aliasDomains
+    ])].filter(host => host !== canonicalKey);
+  });
+
+  return profiles;
+}
+
+module.exports = {
+  domainKey,
+  crawlAliasHosts,
+  crawlCanonicalHost,
+  resolveAliasDomains
+};
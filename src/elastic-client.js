@@ -4,40 +4,25 @@ const client = new Client({
   node: process.env.ELASTICSEARCH_URL || 'http://localhost:9200' 
 });
 
+// Companies are read and written through this alias, which points at one
+// versioned index (companies_v<timestamp>) at a time
+const COMPANIES_ALIAS = 'companies';
+const INDEX_VERSION_PREFIX = `${COMPANIES_ALIAS}_v`;
+
+// Name of a new index version: the prefix and a UTC timestamp down to the millisecond
+function newIndexVersionName() {
+  return INDEX_VERSION_PREFIX + new Date().toISOString().replace(/\D/g, '').slice(0, 17);
+}
+
 async function initializeElastic() {
   try {
     // Check if ES is running
     await client.ping();
     console.log('ElasticSearch connected');
     
-    // Create company index if it doesn't exist
-    const indexExists = await client.indices.exists({ index: 'companies' });
-    
-    if (!indexExists) {
-      // Create index with appropriate mappings
-      await client.indices.create({
-        index: 'companies',
-        body: {
-          mappings: {
-            properties: {
-              domain: { type: 'keyword' },
-              company_commercial_name: { 
-                type: 'text',
-                fields: {
-                  keyword: { type: 'keyword' },
-                  completion: { type: 'completion' }
-                }
-              },
-              company_legal_name: { type: 'text' },
-              phoneNumbers: { type: 'keyword' },
-              socialMediaLinks: { type: 'keyword' },
-              emails: { type: 'keyword' },
-            }
-          }
-        }
-      });
-      console.log('Companies index created');
-    }
+    // Create the company index or check its schema. index-schema is required
+    // here rather than at the top because it uses this module's client.
+    await require('./index-schema').ensureSchema();
     
     return true;
   } catch (error) {
@@ -48,5 +33,8 @@ async function initializeElastic() {
 
 module.exports = {
   client,
+  COMPANIES_ALIAS,
+  INDEX_VERSION_PREFIX,
+  newIndexVersionName,
   initializeElastic
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+// Email addresses: undo common obfuscations, reject false positives and classify
+// each address as role-based, personal or on a third-party domain
+const { registrableDomain } = require('./url-utils');
+
+// Candidate addresses in (de-obfuscated) text
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+const VALID_EMAIL_REGEX = /^[a-z0-9._%+-]+@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,24}$/;
+
+// "info [at] example [dot] com", "info(at)example(dot)com", "info {at} example {dot} com"
+const OBFUSCATED_AT_REGEX = /\s*(?:\[\s*at\s*\]|\(\s*at\s*\)|\{\s*at\s*\}|<\s*at\s*>)\s*/gi;
+const OBFUSCATED_DOT_REGEX = /\s*(?:\[\s*dot\s*\]|\(\s*dot\s*\)|\{\s*dot\s*\}|<\s*dot\s*>)\s*/gi;
+// "info [at] example dot com": a spelled-out "dot" only counts in the domain
+// of an explicit or bracketed "@". A bare "word at word dot word" is prose
+// ("visit us at acme dot com") and is left alone.
+const SPELLED_OUT_DOMAIN_REGEX = /@([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)\b/gi;
+
+// File extensions that look like TLDs in asset names such as logo@2x.png
+const ASSET_EXTENSIONS = [
+  'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'ico', 'bmp', 'tif', 'tiff',
+  'css', 'js', 'mjs', 'map', 'json', 'xml', 'pdf', 'zip', 'mp4', 'webm', 'mp3', 'woff', 'woff2', 'ttf', 'eot'
+];
+
+// Reserved and internal TLDs that never receive mail
+const NON_DELIVERABLE_TLDS = ['example', 'test', 'invalid', 'localhost', 'local', 'internal', 'lan', 'home', 'corp', 'onion'];
+
+// Placeholder addresses from templates, and error trackers whose DSNs look like addresses
+const REJECTED_DOMAINS = [
+  'example.com', 'example.org', 'example.net', 'domain.com', 'yourdomain.com', 'your-domain.com',
+  'company.com', 'yourcompany.com', 'website.com', 'sentry.io',
+  'ingest.sentry.io', 'sentry.wixpress.com', 'sentry-next.wixpress.com', 'wixpress.com'
+];
+
+// Mailboxes that belong to a function rather than a person
+const ROLE_LOCAL_PARTS = [
+  'info', 'information', 'contact', 'contactus', 'hello', 'hi', 'office', 'admin', 'administrator',
+  'sales', 'support', 'help', 'helpdesk', 'service', 'customerservice', 'enquiries', 'enquiry',
+  'inquiries', 'inquiry', 'billing', 'accounts', 'accounting', 'finance', 'invoices', 'orders',
+  'booking', 'bookings', 'reservations', 'marketing', 'press', 'media', 'pr', 'news', 'newsletter',
+  'jobs', 'careers', 'hr', 'recruiting', 'team', 'general', 'mail', 'email', 'webmaster',
+  'postmaster', 'hostmaster', 'abuse', 'noreply', 'no-reply', 'privacy', 'legal', 'compliance',
+  'security', 'it', 'reception', 'frontdesk', 'shop', 'store', 'events', 'partners', 'feedback'
+];
+
+// Free mail providers: a small business's only mailbox is often one of these
+const FREE_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'protonmail.com', 'proton.me', 'gmx.com',
+  'gmx.de', 'gmx.net', 'web.de', 't-online.de', 'mail.ru', 'yandex.ru', 'zoho.com', 'comcast.net',
+  'att.net', 'verizon.net', 'sbcglobal.net', 'bellsouth.net', 'btinternet.com', 'orange.fr', 'free.fr'
+];
+
+// Decode a Cloudflare email-protection string: the first byte is the XOR key
+function decodeCfEmail(encoded) {
+  if (!encoded || !/^[0-9a-f]+$/i.test(encoded) || encoded.length % 2 !== 0) return '';
+
+  const key = parseInt(encoded.slice(0, 2), 16);
+  let decoded = '';
+  for (let i = 2; i < encoded.length; i += 2) {
+    decoded += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+  }
+  return decoded;
+}
+
+// Rewrite "[at]" / "(dot)" style obfuscations into plain addresses
+function deobfuscateText(text) {
+  return String(text || '')
+    .replace(OBFUSCATED_AT_REGEX, '@')
+    .replace(OBFUSCATED_DOT_REGEX, '.')
+    .replace(SPELLED_OUT_DOMAIN_REGEX, (match, domain) => `@${domain.replace(/\s+dot\s+/gi, '.')}`);
+}
+
+// Candidate addresses in a piece of text
+function findEmails(text) {
+  return deobfuscateText(text).match(EMAIL_REGEX) || [];
+}
+
+// Clean up a candidate address. Returns the lowercased address, or null when it
+// is an asset filename, a placeholder, a tracker DSN or on a non-deliverable TLD.
+function normalizeEmail(candidate) {
+  let email = String(candidate || '').trim().replace(/^mailto:/i, '').split('?')[0];
+  try {
+    email = decodeURIComponent(email);
+  } catch (error) {
+    // Keep the raw text
+  }
+  email = email.trim().toLowerCase().replace(/^[.'"<(]+|[.'">)]+$/g, '');
+
+  if (!VALID_EMAIL_REGEX.test(email) || email.includes('..')) return null;
+
+  const [local, domain] = email.split('@');
+  const tld = domain.slice(domain.lastIndexOf('.') + 1);
+
+  if (ASSET_EXTENSIONS.includes(tld) || NON_DELIVERABLE_TLDS.includes(tld)) return null;
+  if (REJECTED_DOMAINS.some(rejected => domain === rejected || domain.endsWith(`.${rejected}`))) return null;
+  // Sentry and similar DSNs use a long hex key as the "local part"
+  if (/^[0-9a-f]{24,}$/.test(local)) return null;
+
+  return email;
+}
+
+// Whether an address is on the company's own domain (or a subdomain of it)
+function isCompanyDomain(email, companyHost) {
+  if (!companyHost) return false;
+  const domain = email.slice(email.indexOf('@') + 1);
+  return registrableDomain(domain) === registrableDomain(companyHost);
+}
+
+// Classify an address for a company site:
+//   role         a function mailbox (info@, sales@) on the company's or a free mail domain
+//   personal     a person's mailbox on the company's or a free mail domain
+//   third-party  any address on another organization's domain (agencies, partners, platforms)
+function classifyEmail(email, companyHost) {
+  const [local, domain] = email.split('@');
+  const companyDomain = isCompanyDomain(email, companyHost);
+  const localKey = local.replace(/[._-]?\d+$/, '');
+
+  let type;
+  if (!companyDomain && !FREE_MAIL_DOMAINS.includes(domain)) {
+    type = 'third-party';
+  } else if (ROLE_LOCAL_PARTS.includes(localKey)) {
+    type = 'role';
+  } else {
+    type = 'personal';
+  }
+
+  return { address: email, type, companyDomain };
+}
+
+function classifyEmails(emails, companyHost) {
+  return (emails || []).map(email => classifyEmail(email, companyHost));
+}
+
+module.exports = {
+  FREE_MAIL_DOMAINS,
+  decodeCfEmail,
+  deobfuscateText,
+  findEmails,
+  normalizeEmail,
+  isCompanyDomain,
+  classifyEmail,
+  classifyEmails
+};
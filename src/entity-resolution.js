@@ -0,0 +1,291 @@
+// Entity resolution: profiles of the same company found on different domains
+// (acme.com and acmeplumbing.net) are clustered into one entity. Two profiles
+// are linked when they share two strong identifiers (phone number, company
+// email domain, Facebook page), or one identifier and a near-identical name,
+// compared without industry and other common words. Every
+// entity gets a stable entityId and a canonical profile; alias domains join
+// the entity of the profile they resolve to.
+const crypto = require('crypto');
+const { client } = require('./elastic-client');
+const { registrableDomain } = require('./url-utils');
+const { FREE_MAIL_DOMAINS } = require('./email-utils');
+const { nameKey } = require('./company-names');
+const { domainKey } = require('./domain-aliases');
+const { isIndustryKeyword } = require('./industry-classifier');
+
+// Constants
+const ENTITY_NAME_SIMILARITY = process.env.ENTITY_NAME_SIMILARITY ? parseFloat(process.env.ENTITY_NAME_SIMILARITY) : 0.9; // Name similarity (0 to 1) that links profiles sharing one identifier
+const ENTITY_MAX_SHARED = parseInt(process.env.ENTITY_MAX_SHARED, 10) || 10; // Identifiers (and name words) shared by more profiles (a directory's number, an agency's domain) are ignored
+const ENTITY_SCROLL_SIZE = 1000;
+
+// Words that say what kind of business a company is rather than which one;
+// industry words ("plumbing", "dental") come from the industry model
+const GENERIC_NAME_WORDS = new Set([
+  'and', 'the', 'of', 'company', 'companies', 'service', 'services', 'solutions', 'group', 'enterprises',
+  'associates', 'partners', 'international', 'global', 'holdings', 'industries', 'systems', 'professional',
+  'professionals', 'pro', 'pros', 'quality', 'best', 'local', 'home', 'center', 'centre', 'shop', 'store', 'studio'
+]);
+
+function hashedEntityId(text) {
+  return `ent_${crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)}`;
+}
+
+// Stable id of an entity that had none: derived from its smallest member domain
+function newEntityId(domains) {
+  return hashedEntityId(domains.map(domainKey).sort()[0]);
+}
+
+// Strong identifiers of a profile: E.164 phone numbers, email domains other
+// than free mail providers and the Facebook page
+function profileIdentifiers(profile) {
+  const identifiers = new Set();
+
+  (profile.phoneNumbersNormalized || []).forEach(phone => identifiers.add(`phone:${phone}`));
+
+  (profile.emails || []).forEach(email => {
+    const domain = email.slice(email.indexOf('@') + 1).toLowerCase();
+    if (!FREE_MAIL_DOMAINS.includes(domain)) {
+      identifiers.add(`email:${registrableDomain(domain) || domain}`);
+    }
+  });
+
+  const facebook = profile.socialProfiles && profile.socialProfiles.facebook;
+  if (facebook && (facebook.id || facebook.handle)) {
+    identifiers.add(`facebook:${String(facebook.id || facebook.handle).toLowerCase()}`);
+  }
+
+  return [...identifiers];
+}
+
+// Distinct name keys of a profile, commercial name first
+function profileNameKeys(profile) {
+  return [...new Set([profile.company_commercial_name, profile.company_legal_name]
+    .map(nameKey)
+    .filter(Boolean))];
+}
+
+// Words of a name key
+function nameWords(key) {
+  return key.split(' ').filter(word => word.length > 1);
+}
+
+// A name key without its generic, industry and frequent words ("smith plumbing"
+// -> "smith"); '' when nothing distinctive is left
+function distinctiveKey(key, frequentWords) {
+  return nameWords(key)
+    .filter(word => !GENERIC_NAME_WORDS.has(word) && !frequentWords.has(word) && !isIndustryKeyword(word))
+    .join(' ');
+}
+
+// Character trigrams of a name key, padded so short names still have some
+function trigrams(key) {
+  const padded = `  ${key} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// Similarity of two name keys from 0 to 1: the better of the trigram Dice
+// coefficient (spelling variants) and the share of the shorter name's words
+// found in the longer one ("acme" and "acme plumbing and heating")
+function keySimilarity(a, b) {
+  if (a === b) return 1;
+
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let sharedGrams = 0;
+  gramsA.forEach(gram => { if (gramsB.has(gram)) sharedGrams++; });
+  const dice = (2 * sharedGrams) / (gramsA.size + gramsB.size);
+
+  const wordsA = new Set(nameWords(a));
+  const wordsB = new Set(nameWords(b));
+  const [fewer, more] = wordsA.size <= wordsB.size ? [wordsA, wordsB] : [wordsB, wordsA];
+  let sharedWords = 0;
+  fewer.forEach(word => { if (more.has(word)) sharedWords++; });
+  const overlap = fewer.size > 0 ? sharedWords / fewer.size : 0;
+
+  return Math.max(dice, overlap);
+}
+
+// Similarity of the closest names of two profiles; 0 when either has none
+function nameSimilarity(keysA, keysB) {
+  let best = 0;
+  keysA.forEach(a => keysB.forEach(b => { best = Math.max(best, keySimilarity(a, b)); }));
+  return best;
+}
+
+// How well a profile represents its entity: a working site, then complete contact data
+function profileQuality(profile) {
+  let quality = 0;
+  if (profile.success) quality += 4;
+  if (profile.siteStatus === 'active') quality += 2;
+  if (profile.company_commercial_name) quality += 1;
+  ['phoneNumbers', 'emails', 'addresses', 'socialMediaLinks'].forEach(field => {
+    if ((profile[field] || []).length > 0) quality += 1;
+  });
+  return quality + Math.min((profile.aliasDomains || []).length, 5) * 0.1;
+}
+
+// The entityId of every domain in an index version, to keep ids stable across runs
+async function loadEntityIds(index) {
+  const entityIds = new Map();
+  const documents = client.helpers.scrollDocuments({
+    index,
+    size: ENTITY_SCROLL_SIZE,
+    _source: ['domain', 'entityId'],
+    query: { exists: { field: 'entityId' } }
+  });
+  for await (const document of documents) {
+    entityIds.set(domainKey(document.domain), document.entityId);
+  }
+  return entityIds;
+}
+
+// Create an entity resolver. Profiles are added one at a time as they are
+// indexed; only their domain, name keys and identifiers are kept. Returns
+// { add(profile), resolve(previousIds) }.
+function createEntityResolver() {
+  const members = [];
+  // Identifier -> indexes of the profiles carrying it, capped past ENTITY_MAX_SHARED
+  const carriers = new Map();
+
+  function add(profile) {
+    const at = members.length;
+    members.push({
+      domain: profile.domain,
+      nameKeys: profileNameKeys(profile),
+      quality: profileQuality(profile),
+      canonicalDomain: profile.canonicalDomain || null
+    });
+
+    // Aliases join their canonical profile's entity; their identifiers are its own
+    if (profile.canonicalDomain) return;
+
+    profileIdentifiers(profile).forEach(identifier => {
+      const carrying = carriers.get(identifier);
+      if (!carrying) {
+        carriers.set(identifier, [at]);
+      } else if (carrying.length <= ENTITY_MAX_SHARED) {
+        carrying.push(at);
+      }
+    });
+  }
+
+  // Cluster the profiles. previousIds maps domains to the entityId they had in
+  // the live index version; an entity keeps the id most of its members had.
+  // Returns a Map of domain -> { entityId, entityCanonicalDomain }.
+  function resolve(previousIds = new Map()) {
+    const parent = members.map((member, at) => at);
+    const root = at => {
+      while (parent[at] !== at) {
+        parent[at] = parent[parent[at]];
+        at = parent[at];
+      }
+      return at;
+    };
+
+    // Name words of more than ENTITY_MAX_SHARED profiles say little about which company a profile is
+    const wordCounts = new Map();
+    members.forEach(member => {
+      new Set(member.nameKeys.flatMap(nameWords)).forEach(word => wordCounts.set(word, (wordCounts.get(word) || 0) + 1));
+    });
+    const frequentWords = new Set([...wordCounts].filter(([, count]) => count > ENTITY_MAX_SHARED).map(([word]) => word));
+    const distinctiveKeys = members.map(member =>
+      [...new Set(member.nameKeys.map(key => distinctiveKey(key, frequentWords)).filter(Boolean))]);
+
+    // Count the identifiers every pair of profiles shares
+    const sharedCounts = new Map();
+    carriers.forEach(carrying => {
+      if (carrying.length < 2 || carrying.length > ENTITY_MAX_SHARED) return;
+      for (let i = 0; i < carrying.length; i++) {
+        for (let j = i + 1; j < carrying.length; j++) {
+          const pair = `${carrying[i]}:${carrying[j]}`;
+          sharedCounts.set(pair, (sharedCounts.get(pair) || 0) + 1);
+        }
+      }
+    });
+
+    sharedCounts.forEach((count, pair) => {
+      const [a, b] = pair.split(':').map(Number);
+      if (count >= 2 || nameSimilarity(distinctiveKeys[a], distinctiveKeys[b]) >= ENTITY_NAME_SIMILARITY) {
+        parent[root(a)] = root(b);
+      }
+    });
+
+    // Aliases follow the profile they resolve to, when it was indexed in this run
+    const atByDomain = new Map(members.map((member, at) => [domainKey(member.domain), at]));
+    members.forEach((member, at) => {
+      const canonicalAt = member.canonicalDomain && atByDomain.get(domainKey(member.canonicalDomain));
+      if (canonicalAt !== undefined && canonicalAt !== null) {
+        parent[root(at)] = root(canonicalAt);
+      }
+    });
+
+    const clusters = new Map();
+    members.forEach((member, at) => {
+      const key = root(at);
+      if (!clusters.has(key)) clusters.set(key, []);
+      clusters.get(key).push(member);
+    });
+
+    // Larger entities pick their id first, so a split entity's largest part keeps it
+    const assignments = new Map();
+    const takenIds = new Set();
+    [...clusters.values()]
+      .sort((a, b) => b.length - a.length)
+      .forEach(cluster => {
+        // The canonical profile is never an alias, unless the cluster has nothing else
+        const candidates = cluster.filter(member => !member.canonicalDomain);
+        const canonical = (candidates.length > 0 ? candidates : cluster).reduce(pickCanonical);
+
+        const domains = cluster.map(member => member.domain);
+        let entityId = previousEntityId(domains, previousIds, takenIds);
+        if (!entityId) {
+          entityId = newEntityId(domains);
+          // The smallest domain's id went to the larger part of a split entity
+          if (takenIds.has(entityId)) entityId = hashedEntityId(domains.map(domainKey).sort().join(' '));
+        }
+        takenIds.add(entityId);
+
+        cluster.forEach(member => {
+          assignments.set(member.domain, { entityId, entityCanonicalDomain: canonical.domain });
+        });
+      });
+
+    return assignments;
+  }
+
+  return { add, resolve };
+}
+
+// The better canonical profile of two: higher quality, then the shorter and
+// alphabetically first domain
+function pickCanonical(best, member) {
+  if (member.quality !== best.quality) return member.quality > best.quality ? member : best;
+  if (member.domain.length !== best.domain.length) return member.domain.length < best.domain.length ? member : best;
+  return member.domain < best.domain ? member : best;
+}
+
+// The entityId most members of a cluster had, unless another entity took it already
+function previousEntityId(domains, previousIds, takenIds) {
+  const counts = new Map();
+  domains.forEach(domain => {
+    const id = previousIds.get(domainKey(domain));
+    if (id && !takenIds.has(id)) counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((count, id) => {
+    if (!best || count > counts.get(best) || (count === counts.get(best) && id < best)) best = id;
+  });
+  return best;
+}
+
+module.exports = {
+  newEntityId,
+  profileIdentifiers,
+  nameSimilarity,
+  loadEntityIds,
+  createEntityResolver
+};
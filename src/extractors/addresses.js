@@ -0,0 +1,93 @@
+// Postal addresses from the page text and address-like elements, parsed into
+// components once the domain's pages are merged
+const { parseAddress, fromPostalAddress } = require('../address-parser');
+
+const ADDRESS_REGEX = /(\d+\s+[A-Za-z0-9\s,.-]+(?:Avenue|Lane|Road|Boulevard|Drive|Street|Ave|Dr|Rd|Blvd|Ln|St)\.?)\s+([A-Za-z]+[\s,.-]+[A-Za-z]+)\s+([A-Z]{2})\s+(\d{5}(?:-\d{4})?)/gi;
+
+// Parsed address components, nested so city / region / postal code filters
+// match within the same address
+const POSTAL_ADDRESS_MAPPING = {
+  type: 'nested',
+  properties: {
+    raw: { type: 'text' },
+    street: { type: 'text' },
+    unit: { type: 'keyword' },
+    city: { type: 'text', fields: { keyword: { type: 'keyword' } } },
+    region: { type: 'text', fields: { keyword: { type: 'keyword' } } },
+    postalCode: { type: 'keyword' },
+    country: { type: 'keyword' }
+  }
+};
+
+function addressKey(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^\w]+/g, ' ').trim();
+}
+
+// Candidates tagged with how they were found; the same address found several
+// ways is kept once, from the most trusted method
+function extractAddresses($, html) {
+  const addresses = [];
+  
+  // Extract from HTML using regex
+  const matches = html.match(ADDRESS_REGEX) || [];
+  matches.forEach(match => addresses.push({ value: match.trim(), source: 'html', method: 'regex' }));
+  
+  // Look for address in structured data
+  $('[itemtype="http://schema.org/PostalAddress"], [itemprop="address"]').each((_, element) => {
+    const addressText = $(element).text().trim().replace(/\s+/g, ' ');
+    if (addressText) {
+      addresses.push({ value: addressText, source: 'address-element', method: 'selector' });
+    }
+  });
+  
+  // Look for address in common elements
+  $('.address, #address, .location, #location').each((_, element) => {
+    const addressText = $(element).text().trim().replace(/\s+/g, ' ');
+    if (addressText) {
+      addresses.push({ value: addressText, source: 'address-element', method: 'selector' });
+    }
+  });
+  
+  return addresses;
+}
+
+module.exports = {
+  name: 'addresses',
+  fields: {
+    addresses: {
+      type: 'list',
+      label: 'Addresses',
+      mapping: { type: 'text' },
+      valueKey: addressKey
+    },
+    postalAddresses: {
+      type: 'list',
+      fillRate: false,
+      mapping: POSTAL_ADDRESS_MAPPING,
+      valueKey: address => addressKey(address.raw),
+      sourceField: 'addresses',
+      sourceValues: address => [address.raw]
+    }
+  },
+
+  extract({ $, html }) {
+    return { addresses: extractAddresses($, html) };
+  },
+
+  // Parse addresses into components; structured PostalAddress fields are used as-is.
+  // Runs after phone-numbers, which sets the region used as the default country.
+  finalize(record) {
+    const structuredAddresses = (record.structuredData ? record.structuredData.postalAddresses : [])
+      .map(address => fromPostalAddress(address, record.phoneRegion));
+    const structuredAddressKeys = new Set(structuredAddresses.map(address => addressKey(address.raw)));
+    
+    record.postalAddresses = [
+      ...structuredAddresses,
+      ...record.addresses
+        .filter(address => !structuredAddressKeys.has(addressKey(address)))
+        .map(address => parseAddress(address, record.phoneRegion))
+    ];
+  },
+
+  POSTAL_ADDRESS_MAPPING
+};
@@ -0,0 +1,141 @@
+// Business metadata for local-business profiles: opening hours as a weekly
+// schedule, meta description, primary language, favicon and logo URLs and the
+// year the company was founded
+const { extractHoursFromPage, parseOpeningHoursValues, parseOpeningHoursSpecification, openingHoursMapping } = require('../opening-hours');
+const { LOGO_SELECTOR } = require('./company-names');
+const { pageText } = require('./emails');
+const { METHOD_CONFIDENCE } = require('../provenance');
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const FOUNDED_REGEX = /\b(?:founded|established|est\.|incorporated|in business since|serving [\w\s]{1,40}since)\s*(?:in\s+)?((?:1[6-9]|20)\d{2})\b/i;
+const ICON_SELECTORS = ['link[rel~="icon" i][href]', 'link[rel~="apple-touch-icon" i][href]'];
+
+// Absolute URL of a page reference; data: URIs and invalid URLs are dropped
+function absoluteUrl(href, baseUrl) {
+  if (!href || /^data:/i.test(href.trim())) return '';
+  try {
+    return new URL(href.trim(), baseUrl).href;
+  } catch (e) {
+    return '';
+  }
+}
+
+// A plausible founding year: not in the future and not before 1600
+function foundingYear(value) {
+  const match = String(value || '').match(/\b(1[6-9]\d{2}|20\d{2})\b/);
+  const year = match ? parseInt(match[1], 10) : null;
+  return year && year <= new Date().getFullYear() ? year : null;
+}
+
+// Primary language subtag of the page: <html lang>, Content-Language or og:locale
+function primaryLanguage($) {
+  const tag = $('html').attr('lang') || $('html').attr('xml:lang') ||
+    $('meta[http-equiv="content-language" i]').attr('content') ||
+    $('meta[property="og:locale"]').attr('content') || '';
+  const match = tag.trim().match(/^([a-z]{2,3})(?:[-_]|$)/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+function metaDescription($) {
+  const description = $('meta[name="description" i]').attr('content') ||
+    $('meta[property="og:description"]').attr('content') || '';
+  return description.trim().replace(/\s+/g, ' ').slice(0, MAX_DESCRIPTION_LENGTH);
+}
+
+function faviconUrl($, url) {
+  for (const selector of ICON_SELECTORS) {
+    const href = absoluteUrl($(selector).first().attr('href'), url);
+    if (href) return href;
+  }
+  return '';
+}
+
+function logoUrl($, url) {
+  return absoluteUrl($(LOGO_SELECTOR).first().attr('src'), url);
+}
+
+module.exports = {
+  name: 'business-metadata',
+  fields: {
+    // { monday: [{ opens: 'HH:MM', closes: 'HH:MM' }], ... }; an empty day is closed
+    openingHours: {
+      type: 'object',
+      label: 'Opening hours',
+      mapping: openingHoursMapping(),
+      merge: pageValues => pageValues[0] || null
+    },
+    metaDescription: {
+      type: 'string',
+      label: 'Meta description',
+      mapping: { type: 'text' }
+    },
+    language: {
+      type: 'string',
+      label: 'Language',
+      mapping: { type: 'keyword' }
+    },
+    faviconUrl: {
+      type: 'string',
+      label: 'Favicon',
+      mapping: { type: 'keyword', index: false }
+    },
+    logoUrl: {
+      type: 'string',
+      label: 'Logo',
+      mapping: { type: 'keyword', index: false }
+    },
+    yearFounded: {
+      type: 'number',
+      label: 'Year founded',
+      mapping: { type: 'short' }
+    }
+  },
+
+  extract({ $, url }) {
+    const founded = pageText($).match(FOUNDED_REGEX);
+    return {
+      openingHours: extractHoursFromPage($),
+      metaDescription: metaDescription($),
+      language: primaryLanguage($),
+      faviconUrl: faviconUrl($, url),
+      logoUrl: logoUrl($, url),
+      yearFounded: founded ? foundingYear(founded[1]) : null
+    };
+  },
+
+  // Structured data wins over hours tables, logo images and founding years in
+  // the text; the values it supplies take the provenance of the structured data
+  finalize(record, { url }) {
+    const structuredData = record.structuredData;
+    if (!structuredData) return;
+
+    const pageSource = record.valueSources && record.valueSources.structuredData;
+    const useStructured = (field, value) => {
+      record[field] = value;
+      if (pageSource) {
+        record.valueSources[field] = {
+          ...pageSource,
+          source: (structuredData.sources || [])[0] || pageSource.source,
+          method: 'structured-data',
+          confidence: METHOD_CONFIDENCE['structured-data']
+        };
+      }
+    };
+
+    const structuredHours = parseOpeningHoursSpecification(structuredData.openingHoursSpecification || []) ||
+      parseOpeningHoursValues(structuredData.openingHours || []);
+    if (structuredHours) {
+      useStructured('openingHours', structuredHours);
+    }
+
+    const structuredLogo = absoluteUrl(structuredData.logo, url);
+    if (structuredLogo) {
+      useStructured('logoUrl', structuredLogo);
+    }
+
+    const structuredYear = foundingYear(structuredData.foundingDate);
+    if (structuredYear) {
+      useStructured('yearFounded', structuredYear);
+    }
+  }
+};
@@ -0,0 +1,69 @@
+// Company name candidates from the site itself: og:site_name, <title>, logo alt
+// text and copyright lines, plus the structured-data name. Scored once per domain.
+const { siteHost } = require('../url-utils');
+const { cleanName, titleCandidates, copyrightCandidates, scoreNameCandidates } = require('../company-names');
+
+const LOGO_SELECTOR = [
+  'header img[alt]',
+  '[class*="logo" i] img[alt]',
+  '[id*="logo" i] img[alt]',
+  'img[class*="logo" i][alt]',
+  'img[id*="logo" i][alt]',
+  'img[src*="logo" i][alt]'
+].join(', ');
+
+function extractNameCandidates($) {
+  const candidates = [];
+  const add = (names, source) => {
+    names.filter(Boolean).forEach(name => candidates.push({ name, source }));
+  };
+  
+  add([cleanName($('meta[property="og:site_name"]').attr('content'))], 'og:site_name');
+  add([cleanName($('meta[name="application-name"]').attr('content'))], 'application-name');
+  add(titleCandidates($('title').first().text()), 'title');
+  
+  $(LOGO_SELECTOR).slice(0, 3).each((_, element) => {
+    add([cleanName($(element).attr('alt'))], 'logo-alt');
+  });
+  
+  // Copyright lines usually sit in the footer; fall back to the whole page
+  const footer = $('footer, #footer, .footer').text();
+  add(copyrightCandidates(footer || $('body').text()), 'copyright');
+  
+  return candidates;
+}
+
+module.exports = {
+  name: 'company-names',
+  fields: {
+    // { commercial, legal, candidates: [{ name, type: commercial|legal, score, sources }] }
+    companyNames: {
+      type: 'object',
+      label: 'Company names',
+      merge: pageValues => pageValues.flat()
+    }
+  },
+
+  extract({ $ }) {
+    return { companyNames: extractNameCandidates($) };
+  },
+
+  finalize(record, { url }) {
+    const candidates = record.companyNames || [];
+    
+    // The name published in structured data was parsed by the structured-data extractor
+    const structuredData = record.structuredData;
+    if (structuredData) {
+      const source = structuredData.sources[0];
+      [structuredData.name, structuredData.legalName]
+        .map(cleanName)
+        .filter(Boolean)
+        .forEach(name => candidates.push({ name, source }));
+    }
+    
+    const scored = scoreNameCandidates(candidates, siteHost(url));
+    record.companyNames = scored.candidates.length > 0 ? scored : null;
+  },
+
+  LOGO_SELECTOR
+};
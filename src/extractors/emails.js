@@ -0,0 +1,93 @@
+// Email addresses from the page text, mailto: links and Cloudflare-protected
+// addresses, de-obfuscated, validated and classified
+const { siteHost } = require('../url-utils');
+const { decodeCfEmail, findEmails, normalizeEmail, classifyEmails } = require('../email-utils');
+const { MARKUP_REGEX_CONFIDENCE } = require('../provenance');
+
+// Text of the page with every text node separated, so addresses in adjacent
+// elements don't run together. Entities are already decoded by the parser.
+function pageText($) {
+  const parts = [];
+  $('*').contents().each((_, node) => {
+    if (node.type === 'text' && !['script', 'style', 'noscript'].includes(node.parent && node.parent.name)) {
+      parts.push(node.data);
+    }
+  });
+  return parts.join(' ');
+}
+
+// Candidates tagged with how they were found; the same address found several
+// ways is kept once, from the most trusted method
+function extractEmails($, html) {
+  const candidates = [];
+  const add = (values, source, method, confidence) => {
+    values.forEach(value => candidates.push({ value, source, method, confidence }));
+  };
+  
+  // Extract from the decoded text, which resolves entity-encoded addresses such
+  // as "info&#64;example.com", and from the raw HTML (scripts, attributes)
+  add(findEmails(pageText($)), 'page-text', 'regex');
+  add(findEmails(html), 'markup', 'regex', MARKUP_REGEX_CONFIDENCE);
+  
+  // Look for mailto links; cheerio decodes entities in attribute values
+  $('a[href^="mailto:" i]').each((_, element) => {
+    const href = $(element).attr('href');
+    if (href) {
+      add([href], 'mailto-link', 'selector');
+    }
+  });
+  
+  // Cloudflare email protection: <span data-cfemail="..."> and /cdn-cgi/l/email-protection#...
+  $('[data-cfemail]').each((_, element) => {
+    add([decodeCfEmail($(element).attr('data-cfemail'))], 'cloudflare', 'selector');
+  });
+  $('a[href*="/cdn-cgi/l/email-protection#"]').each((_, element) => {
+    add([decodeCfEmail($(element).attr('href').split('#')[1])], 'cloudflare', 'selector');
+  });
+  
+  return candidates
+    .map(candidate => ({ ...candidate, value: normalizeEmail(candidate.value) }))
+    .filter(candidate => candidate.value);
+}
+
+module.exports = {
+  name: 'emails',
+  fields: {
+    emails: {
+      type: 'list',
+      label: 'Email addresses',
+      mapping: { type: 'keyword' }
+    },
+    // [{ address, type: role|personal|third-party, companyDomain }]
+    emailDetails: {
+      type: 'list',
+      fillRate: false,
+      mapping: {
+        type: 'nested',
+        properties: {
+          address: { type: 'keyword' },
+          type: { type: 'keyword' },
+          companyDomain: { type: 'boolean' }
+        }
+      },
+      valueKey: detail => detail.address,
+      sourceField: 'emails',
+      sourceValues: detail => [detail.address]
+    }
+  },
+
+  extract({ $, html }) {
+    return { emails: extractEmails($, html) };
+  },
+
+  // Addresses on the company's own domain first: they are the strongest matching signal
+  finalize(record, { url }) {
+    const details = classifyEmails(record.emails, siteHost(url));
+    record.emailDetails = [
+      ...details.filter(detail => detail.companyDomain),
+      ...details.filter(detail => !detail.companyDomain)
+    ];
+  },
+  
+  pageText
+};
@@ -0,0 +1,321 @@
+// Extractor registry for the scraper
+//
+// An extractor is a module exporting:
+//
+//   name      Unique name, used in logs and as the default value source
+//   priority  Optional. Higher runs first, and its values win over lower-priority
+//             values for the same field (default 0)
+//   fields    The fields it defines: { fieldName: { type, mapping, ... } }
+//               type       'list' (array of values, unioned across pages),
+//                          'string' (first non-empty page value wins; '' when none),
+//                          'number' (first numeric page value wins; null when none) or
+//                          'object' (page values combined by merge())
+//               label      Optional. Name printed in the fill-rate report
+//               mapping    ElasticSearch mapping. Fields without one are kept
+//                          in crawling_results.csv but not indexed.
+//               valueKey   Optional (list). Key that recognises the same value
+//                          written in different ways
+//               merge      Optional (object). Combines the per-page values
+//               fillRate   Optional. false leaves the field out of fill-rate stats
+//               sourceField, sourceValues
+//                          Optional. For fields finalize() derives from another
+//                          field: sourceValues(value) returns the values of
+//                          sourceField it came from, whose provenance it takes
+//   method    Optional. How its values are extracted: 'selector', 'regex' or
+//             'structured-data' (default 'selector')
+//   extract({ $, html, url })
+//             Returns { fieldName: value } for a single page. List values may be
+//             plain values or { value, source, method, confidence } to note where
+//             and how each was found; confidence defaults to the method's.
+//             An extractor may add values to fields defined by another one.
+//   finalize(record)
+//             Optional. Called once per domain after all pages are merged, in
+//             priority order, to validate or derive fields on the record.
+//
+// Plugins are loaded from EXTRACTOR_PLUGIN_DIR (every .js file in it) and from
+// EXTRACTOR_PLUGINS, a comma-separated list of module paths or package names.
+const fs = require('fs');
+const path = require('path');
+const { METHOD_CONFIDENCE, valueConfidence } = require('../provenance');
+
+// Constants
+const EXTRACTOR_PLUGIN_DIR = process.env.EXTRACTOR_PLUGIN_DIR || './plugins/extractors';
+const EXTRACTOR_PLUGINS = (process.env.EXTRACTOR_PLUGINS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+const FIELD_TYPES = ['list', 'string', 'number', 'object'];
+
+// Registration order is also the column order in crawling_results.csv
+const BUILT_IN_EXTRACTORS = [
+  require('./phone-numbers'),
+  require('./social-media-links'),
+  require('./addresses'),
+  require('./emails'),
+  require('./company-names'),
+  require('./structured-data'),
+  require('./business-metadata'),
+  require('./industries')
+];
+
+const extractors = [];
+const fieldDefinitions = new Map();
+
+function registerExtractor(extractor) {
+  if (!extractor || typeof extractor.name !== 'string' || typeof extractor.extract !== 'function') {
+    throw new Error('An extractor needs a name and an extract() function');
+  }
+  if (extractors.some(existing => existing.name === extractor.name)) {
+    throw new Error(`Extractor "${extractor.name}" is already registered`);
+  }
+
+  Object.entries(extractor.fields || {}).forEach(([field, definition]) => {
+    if (!FIELD_TYPES.includes(definition.type)) {
+      throw new Error(`Field "${field}" of extractor "${extractor.name}" has unknown type "${definition.type}"`);
+    }
+    if (fieldDefinitions.has(field)) {
+      throw new Error(`Field "${field}" is already defined by extractor "${fieldDefinitions.get(field).extractor}"`);
+    }
+  });
+
+  Object.entries(extractor.fields || {}).forEach(([field, definition]) => {
+    fieldDefinitions.set(field, { ...definition, extractor: extractor.name });
+  });
+
+  extractors.push(extractor);
+
+  // Stable sort keeps registration order within a priority
+  extractors.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+// Load plugins from the plugin directory and the configured module list
+function loadExtractorPlugins(dir = EXTRACTOR_PLUGIN_DIR, modules = EXTRACTOR_PLUGINS) {
+  const pluginPaths = [];
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => pluginPaths.push(path.resolve(dir, file)));
+  }
+
+  modules.forEach(entry => {
+    // Relative paths are relative to the working directory, like the data files
+    pluginPaths.push(entry.startsWith('.') ? path.resolve(entry) : entry);
+  });
+
+  pluginPaths.forEach(pluginPath => {
+    registerExtractor(require(pluginPath));
+  });
+}
+
+function getExtractors() {
+  return extractors;
+}
+
+// Field definitions in column order: registration order of the defining extractors
+function getFieldDefinitions() {
+  return fieldDefinitions;
+}
+
+// ElasticSearch mappings for every indexed extractor field
+function getIndexMappings() {
+  const mappings = {};
+  fieldDefinitions.forEach((definition, field) => {
+    if (definition.mapping) {
+      mappings[field] = definition.mapping;
+    }
+  });
+  return mappings;
+}
+
+function valueKey(field, value) {
+  const definition = fieldDefinitions.get(field);
+  if (definition && definition.valueKey) {
+    return definition.valueKey(value);
+  }
+  return typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value);
+}
+
+// Run every extractor over a page. Returns { fieldName: [{ value, source, method, confidence, priority }] }.
+function extractPage(context) {
+  const values = {};
+
+  extractors.forEach(extractor => {
+    let output;
+    try {
+      output = extractor.extract(context) || {};
+    } catch (error) {
+      console.error(`Extractor "${extractor.name}" failed on ${context.url}:`, error.message);
+      return;
+    }
+
+    Object.entries(output).forEach(([field, fieldValue]) => {
+      const definition = fieldDefinitions.get(field);
+      if (!definition) return;
+
+      const items = definition.type === 'list' ? (fieldValue || []) : [fieldValue];
+      values[field] = values[field] || [];
+
+      items.forEach(item => {
+        const tagged = item && typeof item === 'object' && 'value' in item && definition.type === 'list';
+        const method = (tagged && item.method) || extractor.method || 'selector';
+        values[field].push({
+          value: tagged ? item.value : item,
+          source: (tagged && item.source) || extractor.source || 'html',
+          method,
+          confidence: tagged && typeof item.confidence === 'number' ? item.confidence : METHOD_CONFIDENCE[method],
+          priority: extractor.priority || 0
+        });
+      });
+    });
+  });
+
+  return values;
+}
+
+// Whether a field value is missing: null, '' or an empty array or object
+function isEmptyValue(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+// valueSources entry of a page value
+function sourceEntry(entry, confidence = entry.confidence) {
+  return {
+    page: entry.page,
+    source: entry.source,
+    method: entry.method,
+    fetchedAt: entry.fetchedAt,
+    confidence
+  };
+}
+
+// Merge the values extracted from a domain's pages into one record, noting
+// provenance in record.valueSources: the page a value was found on, its source
+// and method, when the page was fetched and its confidence. List fields map
+// valueKey(field, value) to the entry of each value; string and object fields
+// have the entry of the (first) page that supplied their value.
+function mergePages(pages) {
+  const record = { valueSources: {} };
+
+  fieldDefinitions.forEach((definition, field) => {
+    const entries = pages.flatMap(page => (page.values[field] || [])
+      .map(entry => ({ ...entry, page: page.url, fetchedAt: page.fetchedAt || null })));
+
+    if (definition.type === 'list') {
+      const merged = new Map();
+      const pagesByKey = new Map();
+
+      entries.forEach(entry => {
+        const key = valueKey(field, entry.value);
+        if (!key) return;
+
+        pagesByKey.set(key, (pagesByKey.get(key) || new Set()).add(entry.page));
+
+        // A higher-priority value (e.g. structured data) replaces a regex hit for
+        // the same value, and within a priority the more trusted method wins
+        const existing = merged.get(key);
+        if (!existing || entry.priority > existing.priority ||
+            (entry.priority === existing.priority && entry.confidence > existing.confidence)) {
+          merged.set(key, { ...entry, key });
+        }
+      });
+
+      // Higher priority first, each in discovery order
+      const kept = [...merged.values()].sort((a, b) => b.priority - a.priority);
+      record[field] = kept.map(entry => entry.value);
+      record.valueSources[field] = {};
+      kept.forEach(entry => {
+        // Values found on several pages are more likely the company's own
+        record.valueSources[field][entry.key] =
+          sourceEntry(entry, valueConfidence(entry.method, pagesByKey.get(entry.key).size, entry.confidence));
+      });
+    } else if (definition.type === 'string') {
+      const first = entries.find(entry => entry.value);
+      record[field] = first ? first.value : '';
+      if (first) record.valueSources[field] = sourceEntry(first);
+    } else if (definition.type === 'number') {
+      const first = entries.find(entry => typeof entry.value === 'number' && Number.isFinite(entry.value));
+      record[field] = first ? first.value : null;
+      if (first) record.valueSources[field] = sourceEntry(first);
+    } else {
+      const pageValues = entries.map(entry => entry.value).filter(value => value !== undefined && value !== null);
+      record[field] = definition.merge ? definition.merge(pageValues) : (pageValues[0] || null);
+      const first = entries.find(entry => !isEmptyValue(entry.value));
+      if (first) record.valueSources[field] = sourceEntry(first);
+    }
+  });
+
+  return record;
+}
+
+// valueSources entry of a value derived from sourceField: that of the first
+// source value with one
+function derivedSource(record, definition, value) {
+  const sources = record.valueSources[definition.sourceField];
+  if (!sources) return null;
+  return definition.sourceValues(value)
+    .map(sourceValue => sources[valueKey(definition.sourceField, sourceValue)])
+    .find(Boolean) || null;
+}
+
+// Run the finalize hooks, give derived fields the provenance of the values they
+// came from, then drop valueSources entries for values the hooks removed
+function finalizeRecord(record, context) {
+  extractors.forEach(extractor => {
+    if (typeof extractor.finalize === 'function') {
+      extractor.finalize(record, context);
+    }
+  });
+
+  fieldDefinitions.forEach((definition, field) => {
+    if (!definition.sourceField || isEmptyValue(record[field])) return;
+
+    if (definition.type === 'list') {
+      record.valueSources[field] = {};
+      record[field].forEach(value => {
+        const source = derivedSource(record, definition, value);
+        if (source) record.valueSources[field][valueKey(field, value)] = source;
+      });
+    } else {
+      const source = derivedSource(record, definition, record[field]);
+      if (source) record.valueSources[field] = source;
+    }
+  });
+
+  Object.keys(record.valueSources).forEach(field => {
+    const definition = fieldDefinitions.get(field);
+    if (isEmptyValue(record[field])) {
+      delete record.valueSources[field];
+      return;
+    }
+    if (!definition || definition.type !== 'list') return;
+
+    const kept = new Set(record[field].map(value => valueKey(field, value)));
+    Object.keys(record.valueSources[field]).forEach(key => {
+      if (!kept.has(key)) {
+        delete record.valueSources[field][key];
+      }
+    });
+    if (Object.keys(record.valueSources[field]).length === 0) {
+      delete record.valueSources[field];
+    }
+  });
+
+  return record;
+}
+
+BUILT_IN_EXTRACTORS.forEach(registerExtractor);
+loadExtractorPlugins();
+
+module.exports = {
+  EXTRACTOR_PLUGIN_DIR,
+  registerExtractor,
+  loadExtractorPlugins,
+  getExtractors,
+  getFieldDefinitions,
+  getIndexMappings,
+  valueKey,
+  extractPage,
+  mergePages,
+  finalizeRecord
+};
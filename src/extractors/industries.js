@@ -0,0 +1,57 @@
+// Industry categories (NAICS top-level sectors) from the site's title, meta
+// keywords and description, headings, page text and structured-data types,
+// scored by the offline classifier once the domain's pages are merged
+const { countIndustryTerms, classifyIndustries } = require('../industry-classifier');
+const { pageText } = require('./emails');
+
+// Words in the title and meta tags describe the business better than body text
+const TITLE_WEIGHT = 3;
+const META_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 2;
+const HEADING_WEIGHT = 2;
+
+// Keyword counts of a page, added up over the domain's pages
+function mergeTermCounts(pageValues) {
+  const termCounts = {};
+  pageValues.forEach(counts => {
+    Object.entries(counts).forEach(([term, count]) => {
+      termCounts[term] = (termCounts[term] || 0) + count;
+    });
+  });
+  return termCounts;
+}
+
+module.exports = {
+  name: 'industries',
+  fields: {
+    // [{ code, name, score }], best first. Keyword counts until finalize() classifies them.
+    industries: {
+      type: 'object',
+      label: 'Industries',
+      mapping: {
+        type: 'nested',
+        properties: {
+          code: { type: 'keyword' },
+          name: { type: 'keyword' },
+          score: { type: 'float' }
+        }
+      },
+      merge: mergeTermCounts
+    }
+  },
+
+  extract({ $ }) {
+    const termCounts = {};
+    countIndustryTerms($('title').first().text(), TITLE_WEIGHT, termCounts);
+    countIndustryTerms($('meta[name="keywords" i]').attr('content'), META_WEIGHT, termCounts);
+    countIndustryTerms($('meta[name="description" i]').attr('content'), DESCRIPTION_WEIGHT, termCounts);
+    countIndustryTerms($('h1, h2, h3').map((_, element) => $(element).text()).get().join(' '), HEADING_WEIGHT, termCounts);
+    countIndustryTerms(pageText($), 1, termCounts);
+    return { industries: termCounts };
+  },
+
+  finalize(record) {
+    const schemaTypes = record.structuredData ? record.structuredData.types : [];
+    record.industries = classifyIndustries(record.industries || {}, schemaTypes);
+  }
+};
@@ -0,0 +1,79 @@
+// Phone numbers from the page text, tel: links and phone-like elements
+const { inferDefaultRegion, toE164 } = require('../phone-utils');
+const { MARKUP_REGEX_CONFIDENCE } = require('../provenance');
+const { pageText } = require('./emails');
+
+// Loose on purpose: candidates are validated with libphonenumber for the site's region
+const PHONE_REGEX = /(?:(?:\+|\b00)\d{1,3}[ .\-\u00a0]?)?(?:\(\d{1,5}\)[ .\-\u00a0]?)?\b\d{2,5}(?:[ .\-/\u00a0]?\d{2,5}){1,4}\b/g;
+
+// Candidates tagged with how they were found; the same number found several
+// ways is kept once, from the most trusted method
+function extractPhoneNumbers($, html) {
+  const phoneNumbers = [];
+  const add = (phone, source, method, confidence) => {
+    phoneNumbers.push({ value: phone.trim(), source, method, confidence });
+  };
+  
+  // Regex hits in the visible text, then those only in the markup (scripts, attributes)
+  const textMatches = new Set((pageText($).match(PHONE_REGEX) || []).map(match => match.trim()));
+  textMatches.forEach(match => add(match, 'page-text', 'regex'));
+  (html.match(PHONE_REGEX) || [])
+    .filter(match => !textMatches.has(match.trim()))
+    .forEach(match => add(match, 'markup', 'regex', MARKUP_REGEX_CONFIDENCE));
+  
+  // Look for phone numbers in specific HTML elements
+  $('a[href^="tel:"]').each((_, element) => {
+    const href = $(element).attr('href');
+    if (href) {
+      add(href.replace('tel:', ''), 'tel-link', 'selector');
+    }
+  });
+  
+  // Look for elements with common phone-related classes or IDs
+  $('.phone, .tel, #phone, #tel, [itemprop="telephone"]').each((_, element) => {
+    const text = $(element).text().trim();
+    (text.match(PHONE_REGEX) || []).forEach(match => add(match, 'phone-element', 'selector'));
+  });
+  
+  return phoneNumbers;
+}
+
+module.exports = {
+  name: 'phone-numbers',
+  fields: {
+    phoneNumbers: {
+      type: 'list',
+      label: 'Phone numbers',
+      mapping: { type: 'keyword' },
+      valueKey: value => String(value || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '')
+    },
+    phoneRegion: {
+      type: 'string',
+      fillRate: false,
+      mapping: { type: 'keyword' }
+    }
+  },
+
+  extract({ $, html }) {
+    return { phoneNumbers: extractPhoneNumbers($, html) };
+  },
+
+  // Validate phone candidates for the site's region, dropping dates, order
+  // numbers and duplicates written in another format
+  finalize(record, { url }) {
+    record.phoneRegion = inferDefaultRegion(url, [
+      ...record.addresses,
+      ...(record.structuredData ? record.structuredData.postalAddresses : [])
+    ]);
+    
+    const seenPhones = new Set();
+    record.phoneNumbers = record.phoneNumbers.filter(phone => {
+      const e164 = toE164(phone, record.phoneRegion);
+      if (!e164 || seenPhones.has(e164)) {
+        return false;
+      }
+      seenPhones.add(e164);
+      return true;
+    });
+  }
+};
@@ -0,0 +1,62 @@
+// Links to the company's social media profiles, reduced to canonical profile
+// URLs. Share buttons, intents, plugins and tracking pixels are dropped.
+const { parseSocialProfile, buildSocialProfiles, socialProfilesMapping } = require('../social-profiles');
+
+// Canonical profile URL, or null when the URL isn't a social media profile
+function canonicalProfileUrl(url) {
+  const profile = parseSocialProfile(url);
+  return profile ? profile.url : null;
+}
+
+function extractSocialMediaLinks($, baseUrl) {
+  const socialLinks = new Set();
+  
+  $('a[href]').each((_, element) => {
+    let fullUrl;
+    try {
+      fullUrl = new URL($(element).attr('href'), baseUrl).href;
+    } catch (e) {
+      // Invalid URL, skip
+      return;
+    }
+    
+    const profileUrl = canonicalProfileUrl(fullUrl);
+    if (profileUrl) {
+      socialLinks.add(profileUrl);
+    }
+  });
+  
+  return [...socialLinks];
+}
+
+module.exports = {
+  name: 'social-media-links',
+  source: 'link',
+  fields: {
+    socialMediaLinks: {
+      type: 'list',
+      label: 'Social media links',
+      mapping: { type: 'keyword' },
+      valueKey: value => String(value || '').trim().toLowerCase()
+    },
+    // One profile per platform: { facebook: { url, handle, id }, linkedin: ... }
+    socialProfiles: {
+      type: 'object',
+      fillRate: false,
+      mapping: socialProfilesMapping(),
+      sourceField: 'socialMediaLinks',
+      sourceValues: profiles => Object.values(profiles).map(profile => profile.url)
+    }
+  },
+
+  extract({ $, url }) {
+    return { socialMediaLinks: extractSocialMediaLinks($, url) };
+  },
+
+  // Structured sameAs links come first, so they win when a site links several profiles
+  finalize(record) {
+    record.socialProfiles = buildSocialProfiles(record.socialMediaLinks);
+  },
+
+  canonicalProfileUrl
+};
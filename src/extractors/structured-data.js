@@ -0,0 +1,35 @@
+// Organization data from JSON-LD, microdata and RDFa. Runs first so its values
+// win over regex and selector hits for the same phone number, email or address.
+const { extractStructuredData, mergeStructuredData } = require('../structured-data');
+const { normalizeEmail } = require('../email-utils');
+const { canonicalProfileUrl } = require('./social-media-links');
+
+// Tag each value with the syntax it was read from (json-ld, microdata, rdfa)
+function tagged(values, source) {
+  return values.map(value => ({ value, source }));
+}
+
+module.exports = {
+  name: 'structured-data',
+  priority: 10,
+  method: 'structured-data',
+  fields: {
+    structuredData: {
+      type: 'object',
+      fillRate: false,
+      merge: pageValues => mergeStructuredData(pageValues.flat())
+    }
+  },
+
+  extract({ $ }) {
+    const organizations = extractStructuredData($);
+
+    return {
+      structuredData: organizations,
+      phoneNumbers: organizations.flatMap(org => tagged(org.telephones, org.source)),
+      emails: organizations.flatMap(org => tagged(org.emails.map(normalizeEmail).filter(Boolean), org.source)),
+      addresses: organizations.flatMap(org => tagged(org.addresses, org.source)),
+      socialMediaLinks: organizations.flatMap(org => tagged(org.sameAs.map(canonicalProfileUrl).filter(Boolean), org.source))
+    };
+  }
+};
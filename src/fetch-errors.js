@@ -0,0 +1,70 @@
+// Classification of failed fetches, so crawl statistics can tell DNS problems
+// from timeouts and server errors, and transient errors can be retried
+
+// Failure categories reported in crawling_statistics.json
+const FAILURE_CATEGORIES = [
+  'dns',
+  'tls',
+  'timeout',
+  'connection-refused',
+  'http-4xx',
+  'http-5xx',
+  'empty-body',
+  'too-large',
+  'other'
+];
+
+const DNS_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_NODATA', 'EAI_FAIL'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const TLS_ERROR_CODES = [
+  'EPROTO',
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE'
+];
+
+// Network errors worth another try besides timeouts and 5xx responses
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+
+// Create an error that already carries its category
+function createFetchError(message, category) {
+  const error = new Error(message);
+  error.category = category;
+  return error;
+}
+
+// Category of an axios (or categorized) error
+function classifyFetchError(error) {
+  if (!error) return 'other';
+  if (error.category) return error.category;
+
+  const status = error.response && error.response.status;
+  if (status >= 500) return 'http-5xx';
+  if (status >= 400) return 'http-4xx';
+
+  const code = error.code || '';
+  if (DNS_ERROR_CODES.includes(code)) return 'dns';
+  if (code === 'ECONNREFUSED') return 'connection-refused';
+  if (TIMEOUT_ERROR_CODES.includes(code) || /timeout/i.test(error.message || '')) return 'timeout';
+  if (TLS_ERROR_CODES.includes(code) || /^(ERR_TLS|ERR_SSL|CERT_)/.test(code)) return 'tls';
+
+  return 'other';
+}
+
+// Timeouts, server errors, rate limiting and dropped connections may succeed on retry
+function isTransientError(error) {
+  const category = classifyFetchError(error);
+  const status = error && error.response && error.response.status;
+  return category === 'timeout' || category === 'http-5xx' || status === 429 ||
+    TRANSIENT_ERROR_CODES.includes(error && error.code);
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  createFetchError,
+  classifyFetchError,
+  isTransientError
+};
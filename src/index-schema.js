@@ -0,0 +1,348 @@
+// Schema of the company index: the one definition of its mappings and settings,
+// with a version number stored in the mapping's _meta. The migration runner
+// brings the live index version up to date: added fields are mapped in place,
+// while changed field types or analyzers need a reindex into a new index version.
+// The API refuses to start against a schema it doesn't know (npm run migrate).
+const { client, COMPANIES_ALIAS, newIndexVersionName } = require('./elastic-client');
+const { getIndexMappings } = require('./extractors');
+const { liveIndexVersion, indexStats, validateIndexVersion, swapIndexVersion, pruneIndexVersions } = require('./index-versions');
+const { LEGAL_SUFFIX_PATTERN } = require('./company-names');
+
+// Schema changes, oldest first. A migration that only adds fields is applied
+// with a mapping update; reindex: true rebuilds the index into a new version.
+// Indices created before schemas were versioned count as version 0.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Single mapping for all indices: legal name keyword, all names and search tokens as text, provenance not indexed',
+    reindex: true
+  },
+  {
+    version: 2,
+    description: 'Company name analyzers: legal suffixes stripped, ASCII folding, synonyms, prefix, shingle and normalized name subfields',
+    reindex: true
+  },
+  {
+    version: 3,
+    description: 'Entity resolution: entityId and entityCanonicalDomain keywords',
+    reindex: false
+  },
+  {
+    version: 4,
+    description: 'Legal suffixes that are also words (Co, SA, AG) only stripped when dotted, in capitals or after a comma',
+    reindex: true
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Words that mean the same in a company name, matched after folding
+const COMPANY_NAME_SYNONYMS = [
+  'co, company',
+  'corp, corporation',
+  'intl, international',
+  'bros, brothers',
+  'assoc, associates',
+  'mfg, manufacturing',
+  'svc, svcs, service, services',
+  'natl, national',
+  'mgmt, management',
+  'tech, technology, technologies'
+];
+
+// Company name analysis. Names are compared without their legal-entity suffix
+// ("Acme Plumbing LLC", "ACME Plumbing, Inc."), with "&" read as "and", dotted
+// acronyms joined ("S.R.L." as "srl"), accents folded and synonyms expanded.
+// company_all_available_names joins names with " | ", so suffixes are stripped
+// before every separator, not just at the end.
+function companyNameAnalysis() {
+  const nameCharFilters = ['company_legal_suffix', 'company_ampersand', 'company_acronym_dots'];
+  const nameFilters = ['lowercase', 'asciifolding', 'company_name_synonyms'];
+
+  return {
+    char_filter: {
+      company_legal_suffix: {
+        type: 'pattern_replace',
+        pattern: `(?:${LEGAL_SUFFIX_PATTERN}){1,2}(?=\\s*(?:\\||$))`,
+        replacement: ''
+      },
+      company_ampersand: { type: 'pattern_replace', pattern: '\\s*&\\s*', replacement: ' and ' },
+      company_acronym_dots: { type: 'pattern_replace', pattern: '(?<=\\p{L})\\.(?=\\p{L})', replacement: '' },
+      // The normalized name: punctuation collapsed to single spaces, ends trimmed
+      company_punctuation: { type: 'pattern_replace', pattern: '[^\\p{L}\\p{N}]+', replacement: ' ' },
+      company_trim: { type: 'pattern_replace', pattern: '^ | $', replacement: '' }
+    },
+    filter: {
+      company_name_synonyms: { type: 'synonym', synonyms: COMPANY_NAME_SYNONYMS },
+      company_name_prefix: { type: 'edge_ngram', min_gram: 2, max_gram: 15 },
+      company_name_shingle: { type: 'shingle', min_shingle_size: 2, max_shingle_size: 3, output_unigrams: false }
+    },
+    analyzer: {
+      company_name: {
+        tokenizer: 'standard',
+        char_filter: nameCharFilters,
+        filter: nameFilters
+      },
+      // Prefixes of every word, for names typed incompletely ("acme plumb")
+      company_name_prefix: {
+        tokenizer: 'standard',
+        char_filter: nameCharFilters,
+        filter: [...nameFilters, 'company_name_prefix']
+      },
+      // Runs of two and three words, so names with the words in the same order score higher
+      company_name_shingle: {
+        tokenizer: 'standard',
+        char_filter: nameCharFilters,
+        filter: ['lowercase', 'asciifolding', 'company_name_shingle']
+      }
+    },
+    normalizer: {
+      // The whole name as one key, for exact matches up to case, accents, punctuation and suffix
+      company_name_key: {
+        type: 'custom',
+        char_filter: [...nameCharFilters, 'company_punctuation', 'company_trim'],
+        filter: ['lowercase', 'asciifolding']
+      }
+    }
+  };
+}
+
+// A company name field analyzed with company_name, with prefix and shingle subfields
+function companyNameMapping(fields = {}) {
+  return {
+    type: 'text',
+    analyzer: 'company_name',
+    fields: {
+      prefix: { type: 'text', analyzer: 'company_name_prefix', search_analyzer: 'company_name' },
+      shingles: { type: 'text', analyzer: 'company_name_shingle' },
+      ...fields
+    }
+  };
+}
+
+// Mapped fields of the current schema
+function schemaProperties() {
+  return {
+    domain: { type: 'keyword' },
+    company_commercial_name: companyNameMapping({
+      keyword: { type: 'keyword' },
+      normalized: { type: 'keyword', normalizer: 'company_name_key' },
+      completion: { type: 'completion' }
+    }),
+    company_legal_name: companyNameMapping({
+      keyword: { type: 'keyword' },
+      normalized: { type: 'keyword', normalizer: 'company_name_key' }
+    }),
+    company_all_available_names: companyNameMapping(),
+    phoneNumbersNormalized: { type: 'keyword' },
+    aliasDomains: { type: 'keyword' },
+    canonicalDomain: { type: 'keyword' },
+    entityId: { type: 'keyword' },
+    entityCanonicalDomain: { type: 'keyword' },
+    siteStatus: { type: 'keyword' },
+    lastCrawledAt: { type: 'date' },
+    lastChangedAt: { type: 'date' },
+    // Stored with the document and returned by the API, but not searchable
+    provenance: { type: 'object', enabled: false },
+    searchTokens: { type: 'text' },
+    // Fields produced by the scraper's extractors
+    ...getIndexMappings()
+  };
+}
+
+// Mappings and settings of a new company index version
+function companiesIndexBody() {
+  return {
+    mappings: {
+      _meta: { schemaVersion: SCHEMA_VERSION },
+      properties: schemaProperties()
+    },
+    settings: {
+      'index.mapping.coerce': true,
+      'index.number_of_shards': 1,
+      'index.number_of_replicas': 0,
+      analysis: companyNameAnalysis()
+    }
+  };
+}
+
+// The parts of a field mapping that can't change once documents are indexed
+function fieldSignature(mapping) {
+  const type = mapping.type || (mapping.properties ? 'object' : undefined);
+  return JSON.stringify([
+    type,
+    type === 'text' ? (mapping.analyzer || 'standard') : null,
+    mapping.normalizer || null,
+    mapping.enabled === false,
+    mapping.index === false
+  ]);
+}
+
+// Fields mapped in both the live index and the schema, but differently
+function mappingConflicts(live, expected, prefix = '') {
+  const conflicts = [];
+  Object.entries(expected).forEach(([field, mapping]) => {
+    const current = live[field];
+    if (!current) return;
+    const name = prefix + field;
+    if (fieldSignature(current) !== fieldSignature(mapping)) {
+      conflicts.push(name);
+      return;
+    }
+    if (current.properties && mapping.properties) {
+      conflicts.push(...mappingConflicts(current.properties, mapping.properties, `${name}.`));
+    }
+    if (current.fields && mapping.fields) {
+      conflicts.push(...mappingConflicts(current.fields, mapping.fields, `${name}.`));
+    }
+  });
+  return conflicts;
+}
+
+// Schema of the live index version:
+// { index, version, state, pending, conflicts, reindex }, where state is
+// missing (no index), current, outdated (migrations pending), incompatible
+// (the mapping conflicts with the schema) or unknown (a newer schema version)
+async function schemaStatus() {
+  const index = await liveIndexVersion();
+  if (!index) {
+    return { index: null, version: null, state: 'missing', pending: [], conflicts: [], reindex: false };
+  }
+
+  const mappings = (await client.indices.getMapping({ index }))[index].mappings || {};
+  const version = (mappings._meta && mappings._meta.schemaVersion) || 0;
+  const pending = MIGRATIONS.filter(migration => migration.version > version);
+  const conflicts = mappingConflicts(mappings.properties || {}, schemaProperties());
+
+  let state = 'current';
+  if (version > SCHEMA_VERSION) state = 'unknown';
+  else if (conflicts.length > 0) state = 'incompatible';
+  else if (pending.length > 0) state = 'outdated';
+
+  return {
+    index,
+    version,
+    state,
+    pending,
+    conflicts,
+    reindex: conflicts.length > 0 || pending.some(migration => migration.reindex)
+  };
+}
+
+// Map the schema's fields on the live index version and record its schema version
+async function updateMapping(index) {
+  await client.indices.putMapping({
+    index,
+    _meta: { schemaVersion: SCHEMA_VERSION },
+    properties: schemaProperties()
+  });
+}
+
+// Copy the live index version into a new one with the current schema and swap it in
+async function reindex(live) {
+  const index = newIndexVersionName();
+  const startedAt = new Date().toISOString();
+  console.log(`Reindexing ${live} into ${index}...`);
+
+  await client.indices.create({ index, body: companiesIndexBody() });
+  try {
+    await client.reindex({
+      source: { index: live },
+      dest: { index },
+      wait_for_completion: true,
+      refresh: true
+    });
+
+    const liveStats = await indexStats(live);
+    const problems = validateIndexVersion(await indexStats(index), liveStats.documents, liveStats);
+    if (problems.length > 0) {
+      throw new Error(`Reindexed ${index} failed validation: ${problems.join('; ')}`);
+    }
+  } catch (error) {
+    await client.indices.delete({ index }, { ignore: [404] }).catch(() => {});
+    throw error;
+  }
+
+  await swapIndexVersion(index, { writesSince: startedAt });
+  await pruneIndexVersions();
+  return index;
+}
+
+// Bring the live index version to the current schema, creating the first
+// version when there is none. Reindexing is only done when allowReindex is
+// set; otherwise a schema that needs it is refused. Returns the schema status.
+async function migrateSchema({ allowReindex = true } = {}) {
+  const status = await schemaStatus();
+
+  if (status.state === 'missing') {
+    const index = newIndexVersionName();
+    console.log(`Creating companies index ${index} (schema version ${SCHEMA_VERSION})...`);
+    await client.indices.create({
+      index,
+      body: { ...companiesIndexBody(), aliases: { [COMPANIES_ALIAS]: {} } }
+    });
+    return { ...status, index, version: SCHEMA_VERSION, state: 'current' };
+  }
+
+  if (status.state === 'unknown') {
+    throw new Error(`Index ${status.index} has schema version ${status.version}, newer than this code's version ${SCHEMA_VERSION}`);
+  }
+
+  status.pending.forEach(migration => {
+    console.log(`Schema migration ${migration.version}: ${migration.description}`);
+  });
+
+  if (status.reindex) {
+    if (!allowReindex) {
+      const reason = status.conflicts.length > 0
+        ? `its mapping of ${status.conflicts.join(', ')} conflicts with schema version ${SCHEMA_VERSION}`
+        : `it has schema version ${status.version} and version ${SCHEMA_VERSION} needs a reindex`;
+      throw new Error(`Index ${status.index} can't be used: ${reason}. Run npm run migrate.`);
+    }
+    const index = await reindex(status.index);
+    return { ...status, index, version: SCHEMA_VERSION, state: 'current' };
+  }
+
+  // Added fields, including those of new extractors, are mapped in place
+  await updateMapping(status.index);
+  return { ...status, version: SCHEMA_VERSION, state: 'current' };
+}
+
+// Resolves once the schema has been checked; shared by everything that writes to the index
+let schemaReady = null;
+
+// Check (and update in place) the live schema once per process. Used at API
+// startup and before crawl results are written; never reindexes.
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = migrateSchema({ allowReindex: false }).catch(error => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+// Run the migrations from the command line (npm run migrate)
+if (require.main === module) {
+  schemaStatus()
+    .then(status => {
+      console.log(`Live index: ${status.index || 'none'}, schema version ${status.version === null ? '-' : status.version} (${status.state}); current version ${SCHEMA_VERSION}`);
+      return migrateSchema();
+    })
+    .then(status => console.log(`Index ${status.index} is at schema version ${status.version}`))
+    .catch(error => {
+      console.error('Error in schema migration:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  schemaProperties,
+  companiesIndexBody,
+  schemaStatus,
+  migrateSchema,
+  ensureSchema
+};
@@ -0,0 +1,222 @@
+// Versioned company indices: every full indexing run builds a new
+// companies_v<timestamp> index, validates it and then moves the companies alias
+// to it in one atomic step, so searches never see a half-built index. Older
+// versions are kept for rollback (npm run index-versions, npm run rollback-index).
+const { client, COMPANIES_ALIAS, INDEX_VERSION_PREFIX } = require('./elastic-client');
+const { PLACEHOLDER_STATUSES } = require('./site-status');
+
+// Constants
+const INDEX_KEEP_VERSIONS = parseInt(process.env.INDEX_KEEP_VERSIONS, 10) || 3; // Versions kept, the live one included
+const INDEX_MIN_DOCUMENT_RATIO = process.env.INDEX_MIN_DOCUMENT_RATIO ? parseFloat(process.env.INDEX_MIN_DOCUMENT_RATIO) : 0.9; // Of the live version's document count
+const INDEX_MAX_FILL_RATE_DROP = process.env.INDEX_MAX_FILL_RATE_DROP ? parseFloat(process.env.INDEX_MAX_FILL_RATE_DROP) : 0.1; // Largest drop of a fill rate against the live version
+const WRITES_SCROLL_SIZE = 500;
+
+// Fields whose fill rate is reported and validated
+const FILL_RATE_FIELDS = ['phoneNumbers', 'socialMediaLinks', 'addresses', 'emails'];
+
+// Index versions, oldest first, as { index, documents }
+async function listIndexVersions() {
+  const indices = await client.cat.indices({ index: `${INDEX_VERSION_PREFIX}*`, format: 'json', h: 'index,docs.count' });
+  return indices
+    .map(entry => ({ index: entry.index, documents: parseInt(entry['docs.count'], 10) || 0 }))
+    .sort((a, b) => a.index.localeCompare(b.index));
+}
+
+// The index version the alias points at; null when there is none. A plain
+// "companies" index created before indices were versioned is returned by name.
+async function liveIndexVersion() {
+  if (await client.indices.existsAlias({ name: COMPANIES_ALIAS })) {
+    const aliases = await client.indices.getAlias({ name: COMPANIES_ALIAS });
+    return Object.keys(aliases)[0] || null;
+  }
+  return (await client.indices.exists({ index: COMPANIES_ALIAS })) ? COMPANIES_ALIAS : null;
+}
+
+// Document count, fill rates (0 to 1) and placeholder sites of an index.
+// Placeholder sites have nothing to extract, so fill rates leave them out.
+async function indexStats(index) {
+  await client.indices.refresh({ index });
+  const { count: documents } = await client.count({ index });
+  const { count: withoutSite } = await client.count({ index, query: { terms: { siteStatus: PLACEHOLDER_STATUSES } } });
+  const withSite = documents - withoutSite;
+
+  const fillRates = {};
+  for (const field of FILL_RATE_FIELDS) {
+    const { count } = await client.count({
+      index,
+      query: { bool: { filter: [{ exists: { field } }], must_not: [{ terms: { siteStatus: PLACEHOLDER_STATUSES } }] } }
+    });
+    fillRates[field] = withSite > 0 ? count / withSite : 0;
+  }
+
+  return { documents, fillRates, withoutSite };
+}
+
+// Reasons a new index version can't go live; empty when it passes. It must hold
+// every company sent to it and, against the live version, keep most of its
+// documents and fill rates.
+function validateIndexVersion(stats, expectedDocuments, liveStats) {
+  const problems = [];
+
+  if (stats.documents !== expectedDocuments) {
+    problems.push(`holds ${stats.documents} of ${expectedDocuments} companies`);
+  }
+
+  if (liveStats && liveStats.documents > 0) {
+    if (stats.documents < liveStats.documents * INDEX_MIN_DOCUMENT_RATIO) {
+      problems.push(`holds ${stats.documents} companies, the live version ${liveStats.documents}`);
+    }
+    FILL_RATE_FIELDS.forEach(field => {
+      const drop = (liveStats.fillRates[field] || 0) - stats.fillRates[field];
+      if (drop > INDEX_MAX_FILL_RATE_DROP) {
+        problems.push(`${field} fill rate fell from ${percent(liveStats.fillRates[field])} to ${percent(stats.fillRates[field])}`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+function percent(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+// When a companies document was last written: crawled or changed
+function lastWrittenAt(document) {
+  return [document.lastCrawledAt, document.lastChangedAt].filter(Boolean).sort().pop() || '';
+}
+
+// Copy the documents that crawls wrote to index version from since the given
+// time into to. The copy keeps to's entity and adds to its alias domains; a
+// document of to written later is left alone. Returns the number copied.
+async function copyWrites(from, to, since) {
+  const documents = client.helpers.scrollDocuments({
+    index: from,
+    size: WRITES_SCROLL_SIZE,
+    query: {
+      bool: {
+        should: [
+          { range: { lastCrawledAt: { gte: since } } },
+          { range: { lastChangedAt: { gte: since } } }
+        ],
+        minimum_should_match: 1
+      }
+    }
+  });
+
+  let copied = 0;
+  for await (const document of documents) {
+    const current = await client.get({ index: to, id: document.domain }, { ignore: [404] });
+    if (current.found && lastWrittenAt(current._source) >= lastWrittenAt(document)) continue;
+
+    const copy = { ...document };
+    if (current.found) {
+      if (current._source.entityId) {
+        copy.entityId = current._source.entityId;
+        copy.entityCanonicalDomain = current._source.entityCanonicalDomain;
+      }
+      copy.aliasDomains = [...new Set([...(current._source.aliasDomains || []), ...(document.aliasDomains || [])])];
+    }
+    await client.index({ index: to, id: document.domain, document: copy });
+    copied++;
+  }
+
+  if (copied > 0) {
+    await client.indices.refresh({ index: to });
+    console.log(`Copied ${copied} companies written to ${from} since ${since} into ${to}`);
+  }
+  return copied;
+}
+
+// Point the alias at an index version in one atomic step. A plain "companies"
+// index from before versioning is deleted in the same step to free its name.
+// Crawls keep writing through the alias while a new version is built; with
+// writesSince (when the build started), what they wrote to the live version is
+// copied into the new one before the swap, and what they wrote during that
+// copy right after it.
+async function swapIndexVersion(index, { writesSince = null } = {}) {
+  const live = await liveIndexVersion();
+  const actions = [];
+
+  if (live === COMPANIES_ALIAS) {
+    actions.push({ remove_index: { index: COMPANIES_ALIAS } });
+  } else if (live) {
+    actions.push({ remove: { index: live, alias: COMPANIES_ALIAS } });
+  }
+  actions.push({ add: { index, alias: COMPANIES_ALIAS } });
+
+  const copyStartedAt = new Date().toISOString();
+  if (writesSince && live) {
+    await copyWrites(live, index, writesSince);
+  }
+
+  await client.indices.updateAliases({ actions });
+  console.log(`Alias ${COMPANIES_ALIAS} now points at ${index}${live ? ` (was ${live})` : ''}`);
+
+  // The plain "companies" index is gone by now
+  if (writesSince && live && live !== COMPANIES_ALIAS) {
+    await copyWrites(live, index, copyStartedAt);
+  }
+}
+
+// Delete all but the INDEX_KEEP_VERSIONS newest versions up to the live one.
+// Versions newer than the live one (after a rollback) are kept.
+async function pruneIndexVersions() {
+  const live = await liveIndexVersion();
+  const versions = (await listIndexVersions()).map(version => version.index);
+  const liveAt = versions.indexOf(live);
+  if (liveAt < 0) return [];
+
+  const pruned = versions.slice(0, Math.max(0, liveAt + 1 - INDEX_KEEP_VERSIONS));
+  for (const index of pruned) {
+    await client.indices.delete({ index });
+    console.log(`Deleted old index version ${index}`);
+  }
+  return pruned;
+}
+
+// Point the alias back at the version before the live one. Returns its name.
+async function rollbackIndexVersion() {
+  const live = await liveIndexVersion();
+  const versions = (await listIndexVersions()).map(version => version.index);
+  const previous = versions.filter(index => index < live).pop();
+
+  if (!live || live === COMPANIES_ALIAS || !previous) {
+    throw new Error('No earlier index version to roll back to');
+  }
+
+  await swapIndexVersion(previous);
+  return previous;
+}
+
+// npm run index-versions lists the versions; npm run rollback-index rolls back one version
+if (require.main === module) {
+  const command = process.argv[2] || 'list';
+
+  const run = command === 'rollback'
+    ? rollbackIndexVersion()
+    : Promise.all([listIndexVersions(), liveIndexVersion()]).then(([versions, live]) => {
+      if (versions.length === 0) {
+        console.log('No index versions');
+      }
+      versions.forEach(version => {
+        console.log(`${version.index === live ? '*' : ' '} ${version.index}  ${version.documents} companies`);
+      });
+    });
+
+  run.catch(error => {
+    console.error(`Error in index ${command}:`, error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  FILL_RATE_FIELDS,
+  listIndexVersions,
+  liveIndexVersion,
+  indexStats,
+  validateIndexVersion,
+  swapIndexVersion,
+  pruneIndexVersions,
+  rollbackIndexVersion
+};
@@ -0,0 +1,140 @@
+// Offline industry classifier: scores a site's text against the keyword model in
+// INDUSTRY_MODEL_FILE (NAICS top-level sectors) with TF-IDF weighting. Keywords
+// found in many sectors count for less; structured-data types count on their own.
+const fs = require('fs');
+const path = require('path');
+
+// Constants
+// The model ships with the repo, so the default doesn't depend on the working directory
+const INDUSTRY_MODEL_FILE = process.env.INDUSTRY_MODEL_FILE || path.join(__dirname, '..', 'data', 'industry_model.json');
+const INDUSTRY_MIN_SCORE = process.env.INDUSTRY_MIN_SCORE ? parseFloat(process.env.INDUSTRY_MIN_SCORE) : 0.5; // Lowest score a category is assigned with
+const MAX_INDUSTRIES = 3;
+const RELATIVE_SCORE_CUTOFF = 0.5; // Further categories need at least half the top category's evidence
+const HALF_SCORE_EVIDENCE = 12; // Evidence that scores 0.5; scores approach 1 as evidence grows
+const SCHEMA_TYPE_EVIDENCE = 20; // A matching structured-data @type is strong evidence by itself
+const MAX_PHRASE_LENGTH = 3;
+
+let model = null;
+
+// Lowercased, ASCII-folded words with a trailing plural "s" trimmed, so
+// "Cafés", "cafe" and "cafes" are the same term
+function terms(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// Load the model and weight every keyword by its inverse sector frequency
+function loadIndustryModel() {
+  if (model) return model;
+
+  const { sectors } = JSON.parse(fs.readFileSync(INDUSTRY_MODEL_FILE, 'utf8'));
+  const keywordSectors = new Map();
+
+  const parsedSectors = sectors.map(sector => {
+    const keywords = new Map();
+    Object.entries(sector.keywords || {}).forEach(([keyword, weight]) => {
+      const key = terms(keyword).join(' ');
+      if (!key) return;
+      keywords.set(key, weight);
+      keywordSectors.set(key, (keywordSectors.get(key) || 0) + 1);
+    });
+    return {
+      code: sector.code,
+      name: sector.name,
+      schemaTypes: new Set(sector.schemaTypes || []),
+      keywords
+    };
+  });
+
+  const idf = new Map();
+  keywordSectors.forEach((count, key) => {
+    idf.set(key, Math.log(1 + parsedSectors.length / count));
+  });
+
+  model = { sectors: parsedSectors, idf };
+  return model;
+}
+
+// Whether a single word is one of the model's keywords ("plumbing", "bakeries")
+function isIndustryKeyword(word) {
+  const wordTerms = terms(word);
+  return wordTerms.length === 1 && loadIndustryModel().idf.has(wordTerms[0]);
+}
+
+// The model's sectors as { code, name }
+function industrySectors() {
+  return loadIndustryModel().sectors.map(({ code, name }) => ({ code, name }));
+}
+
+// Add the model keywords found in a text to termCounts, each hit counting weight
+function countIndustryTerms(text, weight = 1, termCounts = {}) {
+  const { idf } = loadIndustryModel();
+  const words = terms(text);
+
+  for (let i = 0; i < words.length; i++) {
+    let phrase = '';
+    for (let n = 0; n < MAX_PHRASE_LENGTH && i + n < words.length; n++) {
+      phrase = n === 0 ? words[i] : `${phrase} ${words[i + n]}`;
+      if (idf.has(phrase)) {
+        termCounts[phrase] = (termCounts[phrase] || 0) + weight;
+      }
+    }
+  }
+
+  return termCounts;
+}
+
+// Categories of a site from its keyword counts and structured-data types:
+// [{ code, name, score }], best first, with scores between 0 and 1
+function classifyIndustries(termCounts, schemaTypes = []) {
+  const { sectors, idf } = loadIndustryModel();
+  const types = new Set(schemaTypes);
+
+  const scored = sectors.map(sector => {
+    let evidence = 0;
+    sector.keywords.forEach((weight, keyword) => {
+      const count = termCounts[keyword];
+      if (count > 0) {
+        evidence += weight * idf.get(keyword) * (1 + Math.log(count));
+      }
+    });
+    if ([...sector.schemaTypes].some(type => types.has(type))) {
+      evidence += SCHEMA_TYPE_EVIDENCE;
+    }
+    return { code: sector.code, name: sector.name, evidence };
+  }).sort((a, b) => b.evidence - a.evidence);
+
+  const top = scored[0] ? scored[0].evidence : 0;
+  return scored
+    .map(sector => ({
+      code: sector.code,
+      name: sector.name,
+      evidence: sector.evidence,
+      score: Math.round((sector.evidence / (sector.evidence + HALF_SCORE_EVIDENCE)) * 1000) / 1000
+    }))
+    .filter(sector => sector.score >= INDUSTRY_MIN_SCORE && sector.evidence >= top * RELATIVE_SCORE_CUTOFF)
+    .slice(0, MAX_INDUSTRIES)
+    .map(({ code, name, score }) => ({ code, name, score }));
+}
+
+// Sector of an industry filter: a NAICS code ("72") or a sector name, any case
+function findIndustrySector(value) {
+  const key = String(value || '').trim().toLowerCase();
+  if (!key) return null;
+  return industrySectors().find(sector => sector.code === key || sector.name.toLowerCase() === key) || null;
+}
+
+module.exports = {
+  INDUSTRY_MODEL_FILE,
+  loadIndustryModel,
+  industrySectors,
+  countIndustryTerms,
+  classifyIndustries,
+  findIndustrySector,
+  isIndustryKeyword
+};
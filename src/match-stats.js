@@ -0,0 +1,59 @@
+// How often each company is returned by /api/match, so the re-crawl scheduler
+// can refresh the most requested profiles first. Counts are kept in memory and
+// saved to a JSON file shortly after they change.
+const fs = require('fs');
+const path = require('path');
+
+// Constants
+const MATCH_STATS_FILE = process.env.MATCH_STATS_FILE || './data/match_stats.json';
+const SAVE_DELAY_MS = 10000;
+
+let counts = null;
+let saveTimer = null;
+
+function loadMatchCounts() {
+  if (counts) return counts;
+
+  counts = new Map();
+  try {
+    if (fs.existsSync(MATCH_STATS_FILE)) {
+      Object.entries(JSON.parse(fs.readFileSync(MATCH_STATS_FILE, 'utf8'))).forEach(([domain, count]) => {
+        counts.set(domain, count);
+      });
+    }
+  } catch (error) {
+    console.error('Error loading match stats:', error.message);
+  }
+  return counts;
+}
+
+// Count a match of a company's domain
+function recordMatch(domain) {
+  const matchCounts = loadMatchCounts();
+  matchCounts.set(domain, (matchCounts.get(domain) || 0) + 1);
+
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveMatchCounts, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+}
+
+function saveMatchCounts() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!counts) return;
+
+  try {
+    fs.mkdirSync(path.dirname(MATCH_STATS_FILE), { recursive: true });
+    fs.writeFileSync(MATCH_STATS_FILE, JSON.stringify(Object.fromEntries(counts), null, 2));
+  } catch (error) {
+    console.error('Error saving match stats:', error.message);
+  }
+}
+
+module.exports = {
+  MATCH_STATS_FILE,
+  loadMatchCounts,
+  recordMatch,
+  saveMatchCounts
+};
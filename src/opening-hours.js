@@ -0,0 +1,235 @@
+// Opening hours: schema.org openingHoursSpecification / openingHours values and
+// hours tables on the page, normalized into a weekly schedule:
+//   { monday: [{ opens: '09:00', closes: '17:00' }], ..., sunday: [] }
+// A day with no ranges is closed; days the site doesn't mention are left out.
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Day names and abbreviations. schema.org's two-letter codes ("Mo-Fr") are also
+// words ("We are open", "To book"), so they are only read in openingHours values.
+const DAY_NAMES = 'mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?';
+const DAY_CODES = 'mo|tu|we|th|fr|sa|su';
+
+// Regexes for day groups ("Mon - Fri", "Sat & Sun", "Daily") of a day pattern
+function dayRegexes(dayNames) {
+  const dayPattern = `\\b(?:${dayNames})\\b\\.?`;
+  const dayGroupPattern = `(?:daily|every ?day|7 days(?: a week)?|weekdays|weekends?|${dayPattern}(?:\\s*(?:-|–|—|to|through|thru|,|&|and|/)\\s*${dayPattern})*)`;
+  return {
+    line: new RegExp(`^\\s*(${dayGroupPattern})\\s*[:\\-–—]?\\s*(.*)$`, 'i'),
+    day: new RegExp(dayPattern, 'gi')
+  };
+}
+
+const PAGE_DAY_REGEXES = dayRegexes(DAY_NAMES);
+const SCHEMA_DAY_REGEXES = dayRegexes(`${DAY_NAMES}|${DAY_CODES}`);
+
+// Outside an hours container a range needs minutes or am/pm ("9:00 - 17:00",
+// "9am - 5pm"), or a line that says it is about hours; "5 - 10 people" isn't one
+const HOURS_KEYWORD_REGEX = /\b(?:hours|hrs|open|opening|closes?)\b/i;
+const TIME_RANGE_REGEX = /(?<![\d:.])(\d{1,2})(?:[:.](\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?\s*(?:-|–|—|to|until)\s*(\d{1,2})(?:[:.](\d{2}))?(?!\d)\s*(a\.?m\.?|p\.?m\.?)?/gi;
+const CLOSED_REGEX = /\bclosed\b/i;
+const ALL_DAY_REGEX = /\b(?:24 ?(?:hours|hrs|h)|24\/7)\b/i;
+
+// Containers that usually hold a site's hours; any table listing days is a candidate too
+const HOURS_SELECTOR = '[class*="hours" i], [id*="hours" i], [class*="opening" i], [id*="opening" i], [itemprop="openingHours"]';
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'li', 'tr', 'table', 'ul', 'ol', 'dl', 'dd', 'section', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Index into DAYS of a day name, abbreviation or schema.org day URL
+function dayIndex(name) {
+  const key = String(name).replace(/^.*[/#]/, '').toLowerCase().replace(/\.$/, '').slice(0, 2);
+  return ['mo', 'tu', 'we', 'th', 'fr', 'sa', 'su'].indexOf(key);
+}
+
+// Days named by a day group such as "Mon - Fri", "Sat & Sun", "Daily" or "Mo,We"
+function parseDayGroup(group, dayRegex) {
+  const lower = group.toLowerCase();
+  if (/^(?:daily|every ?day|7 days)/.test(lower)) return [0, 1, 2, 3, 4, 5, 6];
+  if (lower === 'weekdays') return [0, 1, 2, 3, 4];
+  if (/^weekends?$/.test(lower)) return [5, 6];
+
+  const days = new Set();
+  const names = group.match(dayRegex) || [];
+  const separators = group.split(dayRegex).slice(1, -1);
+
+  names.forEach((name, i) => {
+    const day = dayIndex(name);
+    // A range ("Mon - Fri", "Fri to Sun") includes the days in between, wrapping past Sunday
+    if (i > 0 && /-|–|—|to|thr/i.test(separators[i - 1])) {
+      for (let d = dayIndex(names[i - 1]); d !== day; d = (d + 1) % 7) {
+        days.add(d);
+      }
+    }
+    days.add(day);
+  });
+
+  return [...days];
+}
+
+// 24-hour "HH:MM" from a time with an optional am/pm suffix
+function formatTime(hours, minutes) {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function toHours(hour, suffix) {
+  if (!suffix) return hour;
+  const pm = suffix.toLowerCase().startsWith('p');
+  if (hour === 12) return pm ? 12 : 0;
+  return pm ? hour + 12 : hour;
+}
+
+// Time ranges of an hours text such as "9:00 AM - 5:00 PM", "9am-12pm, 1pm-5pm" or "08:30–17:30".
+// timeLike only accepts ranges written as times (see HOURS_KEYWORD_REGEX).
+function parseTimeRanges(text, timeLike = false) {
+  if (ALL_DAY_REGEX.test(text)) return [{ opens: '00:00', closes: '24:00' }];
+
+  const anyRange = !timeLike || HOURS_KEYWORD_REGEX.test(text);
+  const ranges = [];
+  for (const match of text.matchAll(TIME_RANGE_REGEX)) {
+    const [, openHour, openMinutes = '00', openSuffix, closeHour, closeMinutes = '00', closeSuffix] = match;
+    if (!anyRange && match[2] === undefined && match[5] === undefined && !openSuffix && !closeSuffix) continue;
+    // "9 - 5pm": the opening time takes the closing time's suffix only when that keeps it earlier
+    let opens = toHours(parseInt(openHour, 10), openSuffix || (closeSuffix && parseInt(openHour, 10) <= parseInt(closeHour, 10) ? closeSuffix : null));
+    let closes = toHours(parseInt(closeHour, 10), closeSuffix);
+    // "9 - 5" without suffixes closes in the afternoon
+    if (!openSuffix && !closeSuffix && closes <= opens && closes < 12) {
+      closes += 12;
+    }
+    if (opens > 24 || closes > 24 || parseInt(openMinutes, 10) > 59 || parseInt(closeMinutes, 10) > 59) continue;
+    if (opens === 24) opens = 0;
+    ranges.push({ opens: formatTime(opens, openMinutes), closes: formatTime(closes, closeMinutes) });
+  }
+  return ranges;
+}
+
+// Add the ranges of one day group to a schedule. "Closed" only applies to days without hours.
+function addToSchedule(schedule, days, ranges) {
+  days.forEach(day => {
+    const name = DAYS[day];
+    const existing = schedule[name] || [];
+    ranges.forEach(range => {
+      if (!existing.some(entry => entry.opens === range.opens && entry.closes === range.closes)) {
+        existing.push(range);
+      }
+    });
+    schedule[name] = existing;
+  });
+}
+
+// Schedule from lines of text, each starting with a day group ("Monday: 9am - 5pm",
+// "Sat & Sun Closed"). Null when no line names days and hours. Options:
+// schemaCodes also reads two-letter day codes ("Mo-Fr 09:00-17:00"), timeLike
+// only accepts ranges written as times.
+function parseHoursLines(lines, { schemaCodes = false, timeLike = false } = {}) {
+  const schedule = {};
+  const regexes = schemaCodes ? SCHEMA_DAY_REGEXES : PAGE_DAY_REGEXES;
+
+  lines.forEach(line => {
+    const match = line.replace(/\s+/g, ' ').match(regexes.line);
+    if (!match) return;
+
+    const days = parseDayGroup(match[1], regexes.day);
+    const ranges = parseTimeRanges(match[2], timeLike);
+    if (days.length === 0 || (ranges.length === 0 && !CLOSED_REGEX.test(match[2]))) return;
+    addToSchedule(schedule, days, ranges);
+  });
+
+  return orderedSchedule(schedule);
+}
+
+// schema.org openingHours values ("Mo-Fr 09:00-17:00", "Sa 10:00-14:00"). A value
+// may hold several day groups, and a day list ("Mo, We 09:00-12:00") may have
+// been split over several values.
+function parseOpeningHoursValues(values) {
+  const lines = values.join(', ').split(/(?<=\d)\s*[,;]?\s+(?=(?:Mo|Tu|We|Th|Fr|Sa|Su)\b)/);
+  return parseHoursLines(lines, { schemaCodes: true });
+}
+
+// schema.org OpeningHoursSpecification entries, normalized by the structured data
+// parser to { dayOfWeek: [...], opens, closes, validFrom, validThrough }. Seasonal
+// and holiday exceptions (those with a validity period) are left out.
+function parseOpeningHoursSpecification(specifications) {
+  const schedule = {};
+
+  specifications
+    .filter(spec => !spec.validFrom && !spec.validThrough)
+    .forEach(spec => {
+      const days = spec.dayOfWeek.map(dayIndex).filter(day => day >= 0);
+      const opens = normalizeSpecTime(spec.opens);
+      const closes = normalizeSpecTime(spec.closes);
+      if (days.length === 0 || !opens || !closes) return;
+
+      // schema.org marks a closed day with opens and closes both 00:00
+      addToSchedule(schedule, days, opens === '00:00' && closes === '00:00' ? [] : [{ opens, closes }]);
+    });
+
+  return orderedSchedule(schedule);
+}
+
+// "09:00:00" and "9:00" become "09:00"
+function normalizeSpecTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})/);
+  return match ? formatTime(parseInt(match[1], 10), match[2]) : null;
+}
+
+// Schedule of the hours tables and "opening hours" blocks on a page
+function extractHoursFromPage($) {
+  let schedule = null;
+
+  $(HOURS_SELECTOR).add('table').each((_, element) => {
+    if (schedule) return false;
+    const lines = blockText(element).split('\n');
+    // A table without an "hours" class has to list at least two days, with times
+    const hoursContainer = $(element).is(HOURS_SELECTOR);
+    const parsed = parseHoursLines(lines, { timeLike: !hoursContainer });
+    if (parsed && (hoursContainer || Object.keys(parsed).length >= 2)) {
+      schedule = parsed;
+    }
+  });
+
+  return schedule;
+}
+
+// Text of an element with one line per block element, row or <br>. Table cells
+// and definition terms stay on the line of the hours that follow them.
+function blockText(node) {
+  if (node.type === 'text') return node.data;
+  if (node.name === 'br') return '\n';
+  if (node.type !== 'tag' || ['script', 'style', 'noscript', 'template'].includes(node.name)) return '';
+
+  const text = (node.children || []).map(blockText).join('');
+  if (node.name === 'td' || node.name === 'th' || node.name === 'dt') return ` ${text} `;
+  return BLOCK_ELEMENTS.has(node.name) ? `\n${text}\n` : text;
+}
+
+// Days in week order; null for an empty schedule
+function orderedSchedule(schedule) {
+  const ordered = {};
+  DAYS.forEach(day => {
+    if (schedule[day]) {
+      ordered[day] = schedule[day].sort((a, b) => a.opens.localeCompare(b.opens));
+    }
+  });
+  return Object.keys(ordered).length > 0 ? ordered : null;
+}
+
+// ElasticSearch mapping of a weekly schedule
+function openingHoursMapping() {
+  const properties = {};
+  DAYS.forEach(day => {
+    properties[day] = {
+      properties: {
+        opens: { type: 'keyword' },
+        closes: { type: 'keyword' }
+      }
+    };
+  });
+  return { properties };
+}
+
+module.exports = {
+  DAYS,
+  parseHoursLines,
+  parseOpeningHoursValues,
+  parseOpeningHoursSpecification,
+  extractHoursFromPage,
+  openingHoursMapping
+};
@@ -0,0 +1,185 @@
+// Raw page snapshot archive in WARC format, so extraction can be re-run offline
+// Each fetched page is written as a WARC/1.1 "response" record, gzip-compressed
+// per record (the usual .warc.gz layout readable by standard WARC tools).
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { threadId } = require('worker_threads');
+const { siteHost, normalizePageUrl } = require('./url-utils');
+
+// Constants
+const PAGE_ARCHIVE_DIR = process.env.PAGE_ARCHIVE_DIR || './data/archive';
+const PAGE_ARCHIVE_ENABLED = process.env.PAGE_ARCHIVE !== 'false';
+
+// Headers describing the transfer rather than the content. Bodies are stored
+// decoded, so these would no longer be true.
+const TRANSFER_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length', 'connection'];
+
+// One file per thread and process, so concurrent workers never interleave writes
+const archiveFile = path.join(
+  PAGE_ARCHIVE_DIR,
+  `snapshots-${new Date().toISOString().slice(0, 10)}-${process.pid}-${threadId}.warc.gz`
+);
+
+// Append a fetched page to the archive. Failures are logged, never thrown:
+// archiving must not break a crawl.
+function archivePage({ requestedUrl, finalUrl, redirects, status, statusText, headers, body, fetchedAt }) {
+  if (!PAGE_ARCHIVE_ENABLED) return;
+
+  try {
+    const payload = Buffer.from(body || '', 'utf8');
+    const headerLines = Object.entries(headers || {})
+      .filter(([name]) => !TRANSFER_HEADERS.includes(name.toLowerCase()))
+      .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
+    headerLines.push(`Content-Length: ${payload.length}`);
+
+    const httpBlock = Buffer.concat([
+      Buffer.from(`HTTP/1.1 ${status} ${statusText || ''}\r\n${headerLines.join('\r\n')}\r\n\r\n`, 'utf8'),
+      payload
+    ]);
+
+    const warcHeaders = [
+      'WARC/1.1',
+      'WARC-Type: response',
+      `WARC-Record-ID: <urn:uuid:${crypto.randomUUID()}>`,
+      `WARC-Date: ${fetchedAt || new Date().toISOString()}`,
+      `WARC-Target-URI: ${finalUrl || requestedUrl}`,
+      `WARC-Payload-Digest: sha256:${crypto.createHash('sha256').update(payload).digest('hex')}`,
+      // Extension field: the URL we asked for, before any redirects
+      `WARC-X-Requested-URI: ${requestedUrl}`,
+      // Extension field: each redirect followed, as "<status> <url>" pairs
+      ...(redirects && redirects.length > 0
+        ? [`WARC-X-Redirect-Chain: ${redirects.map(hop => `${hop.status} <${hop.url}>`).join(' ')}`]
+        : []),
+      'Content-Type: application/http; msgtype=response',
+      `Content-Length: ${httpBlock.length}`
+    ];
+
+    const record = Buffer.concat([
+      Buffer.from(`${warcHeaders.join('\r\n')}\r\n\r\n`, 'utf8'),
+      httpBlock,
+      Buffer.from('\r\n\r\n', 'utf8')
+    ]);
+
+    fs.mkdirSync(PAGE_ARCHIVE_DIR, { recursive: true });
+    fs.appendFileSync(archiveFile, zlib.gzipSync(record));
+  } catch (error) {
+    console.error(`Error archiving ${requestedUrl}:`, error.message);
+  }
+}
+
+// Read every response record from the .warc.gz files in a directory
+function readArchive(dir = PAGE_ARCHIVE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.warc.gz'))
+    .sort()
+    .flatMap(file => {
+      try {
+        return parseWarc(zlib.gunzipSync(fs.readFileSync(path.join(dir, file))));
+      } catch (error) {
+        console.error(`Error reading archive file ${file}:`, error.message);
+        return [];
+      }
+    });
+}
+
+function parseWarc(buffer) {
+  const snapshots = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const headerEnd = buffer.indexOf('\r\n\r\n', offset);
+    if (headerEnd === -1) break;
+
+    const headers = parseHeaderLines(buffer.slice(offset, headerEnd).toString('utf8').split('\r\n').slice(1));
+    const contentLength = parseInt(headers['content-length'], 10) || 0;
+    const blockStart = headerEnd + 4;
+    const block = buffer.slice(blockStart, blockStart + contentLength);
+    offset = blockStart + contentLength + 4;
+
+    if (headers['warc-type'] !== 'response') continue;
+
+    const httpHeaderEnd = block.indexOf('\r\n\r\n');
+    if (httpHeaderEnd === -1) continue;
+
+    const httpLines = block.slice(0, httpHeaderEnd).toString('utf8').split('\r\n');
+    const statusMatch = httpLines[0].match(/^HTTP\/[\d.]+\s+(\d{3})/);
+
+    snapshots.push({
+      requestedUrl: headers['warc-x-requested-uri'] || headers['warc-target-uri'],
+      finalUrl: headers['warc-target-uri'],
+      redirects: parseRedirectChain(headers['warc-x-redirect-chain']),
+      status: statusMatch ? parseInt(statusMatch[1], 10) : null,
+      headers: parseHeaderLines(httpLines.slice(1)),
+      body: block.slice(httpHeaderEnd + 4).toString('utf8'),
+      fetchedAt: headers['warc-date']
+    });
+  }
+
+  return snapshots;
+}
+
+// Read a WARC-X-Redirect-Chain header back into [{ url, status }]
+function parseRedirectChain(value) {
+  const redirects = [];
+  const hopRegex = /(\d{3}) <([^>]+)>/g;
+  let match;
+  while ((match = hopRegex.exec(value || '')) !== null) {
+    redirects.push({ url: match[2], status: parseInt(match[1], 10) });
+  }
+  return redirects;
+}
+
+function parseHeaderLines(lines) {
+  const headers = {};
+  lines.forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+}
+
+// Index the latest snapshot of every archived page by its normalized URL,
+// under both the requested and the final URL
+function loadSnapshotIndex(dir = PAGE_ARCHIVE_DIR) {
+  const pages = new Map();
+
+  readArchive(dir).forEach(snapshot => {
+    [snapshot.requestedUrl, snapshot.finalUrl].filter(Boolean).forEach(url => {
+      const key = normalizePageUrl(url);
+      const existing = pages.get(key);
+      if (!existing || existing.fetchedAt <= snapshot.fetchedAt) {
+        pages.set(key, snapshot);
+      }
+    });
+  });
+
+  return {
+    size: pages.size,
+
+    // The archived snapshot of a page, or undefined when it was never fetched
+    get(url) {
+      return pages.get(normalizePageUrl(url));
+    },
+
+    // Archived sitemap URLs for a site. XML is only ever fetched as a sitemap.
+    sitemapUrls(baseUrl) {
+      const host = siteHost(baseUrl);
+      return [...new Set([...pages.values()]
+        .filter(snapshot => siteHost(snapshot.finalUrl) === host && /\.xml$/i.test(new URL(snapshot.finalUrl).pathname))
+        .map(snapshot => snapshot.finalUrl))];
+    }
+  };
+}
+
+module.exports = {
+  PAGE_ARCHIVE_DIR,
+  archivePage,
+  readArchive,
+  loadSnapshotIndex
+};
@@ -0,0 +1,124 @@
+// Phone number parsing, validation and E.164 normalization
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { matchCountry, parseAddress } = require('./address-parser');
+
+const DEFAULT_REGION = 'US';
+
+// Country-code TLDs whose ISO region differs from the TLD itself
+const TLD_REGION_OVERRIDES = {
+  uk: 'GB',
+  eu: null,
+  su: null,
+  ac: 'GB',
+  io: null,
+  co: null, // Widely used as a generic TLD
+  me: null,
+  tv: null,
+  ai: null,
+  ly: null,
+  fm: null
+};
+
+// Second-level domains that identify a country under a generic-looking suffix
+const SECOND_LEVEL_REGIONS = {
+  'co.uk': 'GB',
+  'org.uk': 'GB',
+  'com.au': 'AU',
+  'net.au': 'AU',
+  'co.nz': 'NZ',
+  'co.za': 'ZA',
+  'com.br': 'BR',
+  'com.mx': 'MX',
+  'co.in': 'IN',
+  'co.jp': 'JP'
+};
+
+// Dates and other numbers a loose phone regex picks up
+const DATE_LIKE_REGEX = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{2,4})$/;
+const MIN_DIGITS = 7;
+const MAX_DIGITS = 15;
+
+// Guess the region a site's phone numbers are written for, from its TLD or addresses
+function inferDefaultRegion(domain, addresses = []) {
+  const host = String(domain || '')
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .split(/[/:?#]/)[0]
+    .replace(/^www\./, '');
+  const labels = host.split('.');
+
+  if (labels.length >= 2) {
+    const secondLevel = labels.slice(-2).join('.');
+    if (SECOND_LEVEL_REGIONS[secondLevel]) {
+      return SECOND_LEVEL_REGIONS[secondLevel];
+    }
+
+    const tld = labels[labels.length - 1];
+    if (tld.length === 2) {
+      const region = tld in TLD_REGION_OVERRIDES ? TLD_REGION_OVERRIDES[tld] : tld.toUpperCase();
+      if (region) return region;
+    }
+  }
+
+  // Generic TLDs: use the country of the first address that names one
+  // (parsed addresses, schema.org PostalAddress objects or free text)
+  for (const address of addresses) {
+    let country = '';
+    if (address && typeof address === 'object') {
+      country = address.country || matchCountry(address.addressCountry);
+    } else {
+      country = parseAddress(address).country;
+    }
+
+    if (country) return country;
+  }
+
+  return DEFAULT_REGION;
+}
+
+// Parse a phone number candidate. Returns the E.164 form, or null when the
+// text is not a valid number for the region (dates, order numbers, prices...).
+function toE164(text, defaultRegion = DEFAULT_REGION) {
+  if (!text) return null;
+
+  const candidate = String(text)
+    .trim()
+    .replace(/^tel:/i, '')
+    .replace(/^00(?=[1-9])/, '+');
+
+  if (DATE_LIKE_REGEX.test(candidate)) return null;
+
+  const digits = candidate.replace(/\D/g, '');
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS) return null;
+
+  // Long unformatted digit runs are almost always order or tracking numbers
+  if (!candidate.startsWith('+') && /^\d+$/.test(candidate) && digits.length > 11) return null;
+
+  try {
+    const phoneNumber = parsePhoneNumberFromString(candidate, defaultRegion);
+    return phoneNumber && phoneNumber.isValid() ? phoneNumber.number : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validate a list of phone number candidates and return their unique E.164 forms
+function normalizePhoneNumbers(phoneNumbers, defaultRegion = DEFAULT_REGION) {
+  const normalized = new Set();
+
+  phoneNumbers.forEach(phone => {
+    const e164 = toE164(phone, defaultRegion);
+    if (e164) {
+      normalized.add(e164);
+    }
+  });
+
+  return [...normalized];
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  inferDefaultRegion,
+  toE164,
+  normalizePhoneNumbers
+};
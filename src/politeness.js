@@ -0,0 +1,232 @@
+// Crawler politeness: robots.txt compliance and per-host request pacing
+const { isMainThread, parentPort } = require('worker_threads');
+const { CRAWLER_USER_AGENT, fetchUrl, isReplaying } = require('./fetch-transport');
+
+// Constants
+const HOST_REQUEST_INTERVAL_MS = process.env.HOST_REQUEST_INTERVAL_MS ? parseInt(process.env.HOST_REQUEST_INTERVAL_MS, 10) : 1000;
+const MAX_CRAWL_DELAY_SECONDS = parseInt(process.env.MAX_CRAWL_DELAY_SECONDS, 10) || 30;
+const ROBOTS_TIMEOUT = 10000;
+
+// The product token robots.txt groups are matched against, e.g. "companymatchbot"
+const USER_AGENT_TOKEN = CRAWLER_USER_AGENT.split(/[/\s]/)[0].toLowerCase();
+
+const ALLOW_ALL = { rules: [], crawlDelay: null, sitemaps: [] };
+const DISALLOW_ALL = { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, sitemaps: [] };
+
+// robots.txt rules per origin, cached as promises so concurrent callers share one fetch
+const robotsCache = new Map();
+
+// Parse robots.txt into the rules and Crawl-delay that apply to our user agent
+function parseRobotsTxt(text, userAgentToken = USER_AGENT_TOKEN) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share the rules that follow them
+      if (!current || current.hasRules) {
+        current = { agents: [], rules: [], crawlDelay: null, hasRules: false };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if (key === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (key === 'allow' || key === 'disallow')) {
+      current.hasRules = true;
+      // An empty Disallow means everything is allowed
+      if (value) {
+        current.rules.push({ allow: key === 'allow', pattern: value });
+      }
+    } else if (current && key === 'crawl-delay') {
+      current.hasRules = true;
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  });
+
+  // Our own groups win over the wildcard group
+  let matching = groups.filter(group => group.agents.some(agent => agent !== '*' && userAgentToken.includes(agent)));
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+
+  const crawlDelays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: crawlDelays.length > 0 ? Math.max(...crawlDelays) : null,
+    sitemaps
+  };
+}
+
+// Check a path against parsed rules: the longest matching pattern wins, Allow wins ties
+function isPathAllowed(robots, path) {
+  if (path === '/robots.txt') return true;
+
+  let bestMatch = null;
+
+  robots.rules.forEach(rule => {
+    if (!robotsPatternToRegex(rule.pattern).test(path)) return;
+
+    if (!bestMatch ||
+        rule.pattern.length > bestMatch.pattern.length ||
+        (rule.pattern.length === bestMatch.pattern.length && rule.allow)) {
+      bestMatch = rule;
+    }
+  });
+
+  return bestMatch ? bestMatch.allow : true;
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Fetch (once per origin) the robots.txt rules that apply to a URL
+function getRobotsRules(url) {
+  const origin = new URL(url).origin;
+
+  if (!robotsCache.has(origin)) {
+    robotsCache.set(origin, fetchRobotsTxt(origin));
+  }
+
+  return robotsCache.get(origin);
+}
+
+async function fetchRobotsTxt(origin) {
+  const host = new URL(origin).hostname;
+
+  try {
+    await waitForHostSlot(host);
+    const response = await fetchUrl(`${origin}/robots.txt`, {
+      timeout: ROBOTS_TIMEOUT,
+      validateStatus: () => true
+    });
+
+    // A missing robots.txt allows everything; a server error means we may not crawl
+    if (response.status >= 500) {
+      return { ...DISALLOW_ALL, unavailable: `robots.txt unavailable (HTTP ${response.status})` };
+    }
+    if (response.status >= 400) {
+      return ALLOW_ALL;
+    }
+
+    return parseRobotsTxt(response.body);
+  } catch (error) {
+    // Unreachable hosts fail on the page fetch itself with a clearer error
+    return ALLOW_ALL;
+  }
+}
+
+// Check robots.txt for a URL. Returns null when the URL may be fetched, or the reason it may not.
+async function checkRobots(url) {
+  const robots = await getRobotsRules(url);
+  const parsed = new URL(url);
+
+  if (robots.unavailable) {
+    return robots.unavailable;
+  }
+  if (robots.crawlDelay !== null && robots.crawlDelay > MAX_CRAWL_DELAY_SECONDS) {
+    return `Crawl-delay of ${robots.crawlDelay}s exceeds the ${MAX_CRAWL_DELAY_SECONDS}s limit`;
+  }
+  if (!isPathAllowed(robots, parsed.pathname + parsed.search)) {
+    return 'Disallowed by robots.txt';
+  }
+
+  return null;
+}
+
+// Per-host pacing. The scheduler lives in the main thread so the rate holds
+// no matter which worker fetches from a host.
+function createHostScheduler(minIntervalMs = HOST_REQUEST_INTERVAL_MS) {
+  const nextSlot = new Map();
+
+  return {
+    // Reserve the next free slot for a host and return how long to wait for it
+    reserve(host, intervalMs = 0) {
+      const now = Date.now();
+      const interval = Math.max(minIntervalMs, intervalMs);
+      const slot = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, slot + interval);
+      return slot - now;
+    }
+  };
+}
+
+const localScheduler = createHostScheduler();
+const pendingSlots = new Map();
+let nextSlotRequestId = 0;
+
+if (!isMainThread && parentPort) {
+  parentPort.on('message', message => {
+    if (message && message.type === 'host-slot-granted' && pendingSlots.has(message.requestId)) {
+      const resolve = pendingSlots.get(message.requestId);
+      pendingSlots.delete(message.requestId);
+      if (pendingSlots.size === 0) {
+        parentPort.unref();
+      }
+      resolve();
+    }
+  });
+  // Only keep the worker alive while a slot request is outstanding
+  parentPort.unref();
+}
+
+// Wait until a request to the host is allowed, honouring any robots.txt Crawl-delay
+async function waitForHostSlot(host, crawlDelaySeconds = null) {
+  // Replayed fixtures put no load on the host
+  if (isReplaying()) return;
+
+  const hostKey = host.toLowerCase().replace(/^www\./, '');
+  const intervalMs = crawlDelaySeconds ? crawlDelaySeconds * 1000 : 0;
+
+  if (isMainThread || !parentPort) {
+    const wait = localScheduler.reserve(hostKey, intervalMs);
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    return;
+  }
+
+  const requestId = nextSlotRequestId++;
+  await new Promise(resolve => {
+    pendingSlots.set(requestId, resolve);
+    parentPort.ref();
+    parentPort.postMessage({ type: 'host-slot', requestId, host: hostKey, intervalMs });
+  });
+}
+
+// Main-thread side of waitForHostSlot: answer a worker's slot request once its turn comes
+function handleHostSlotRequest(scheduler, worker, message) {
+  const wait = scheduler.reserve(message.host, message.intervalMs);
+  setTimeout(() => {
+    worker.postMessage({ type: 'host-slot-granted', requestId: message.requestId });
+  }, wait);
+}
+
+module.exports = {
+  CRAWLER_USER_AGENT,
+  parseRobotsTxt,
+  isPathAllowed,
+  getRobotsRules,
+  checkRobots,
+  createHostScheduler,
+  waitForHostSlot,
+  handleHostSlotRequest
+};
@@ -0,0 +1,152 @@
+// Provenance of extracted values: the page a value was found on, how it was
+// extracted, when the page was fetched and how far the value can be trusted
+const { toE164 } = require('./phone-utils');
+
+// Extraction methods, from the most to the least trustworthy crawled value
+const PROVENANCE_METHODS = ['csv', 'structured-data', 'selector', 'regex'];
+
+// Base confidence of a value by extraction method. Names supplied in the
+// names file are the reference data, so they are fully trusted.
+const METHOD_CONFIDENCE = {
+  csv: 1,
+  'structured-data': 0.9,
+  selector: 0.8,
+  regex: 0.5
+};
+
+// A regex hit outside the visible text (scripts, attributes, inline JSON) is
+// often a tracking ID, a timestamp or a build number
+const MARKUP_REGEX_CONFIDENCE = 0.3;
+
+// Every further page a value is found on adds a little confidence
+const PAGE_CONFIDENCE_BONUS = 0.05;
+const MAX_CRAWLED_CONFIDENCE = 0.99;
+
+// Value sources that come from structured data, for results crawled before the method was recorded
+const STRUCTURED_SOURCES = ['json-ld', 'microdata', 'rdfa'];
+
+// Confidence of a crawled value found with the given method on pageCount pages
+function valueConfidence(method, pageCount = 1, base = METHOD_CONFIDENCE[method]) {
+  if (base === undefined) return null;
+  const bonus = PAGE_CONFIDENCE_BONUS * Math.max(0, pageCount - 1);
+  return round(Math.max(base, Math.min(base + bonus, MAX_CRAWLED_CONFIDENCE)));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Provenance record of a crawled value from its valueSources entry. Entries
+// written before methods were recorded only have the page and source.
+function crawledRecord(value, entry, crawledAt) {
+  if (!entry) {
+    return { value, sourceUrl: null, method: null, source: null, crawledAt, confidence: null };
+  }
+  const method = entry.method || (STRUCTURED_SOURCES.includes(entry.source) ? 'structured-data' : null);
+  return {
+    value,
+    sourceUrl: entry.page || null,
+    method,
+    source: entry.source || null,
+    crawledAt: entry.fetchedAt || crawledAt,
+    confidence: typeof entry.confidence === 'number' ? round(entry.confidence) : valueConfidence(method)
+  };
+}
+
+// Method of a site name candidate, from the sources it was read from
+function nameMethod(sources) {
+  if (sources.some(source => STRUCTURED_SOURCES.includes(source))) return 'structured-data';
+  if (sources.every(source => source === 'copyright')) return 'regex';
+  return 'selector';
+}
+
+// Provenance record of a company name: supplied in the names file, or read from the site
+function nameRecord(name, suppliedName, siteNames, structuredData, homepage, crawledAt) {
+  if (!name) return null;
+
+  if (suppliedName) {
+    return { value: name, sourceUrl: null, method: 'csv', source: 'names-file', crawledAt: null, confidence: METHOD_CONFIDENCE.csv };
+  }
+
+  // Names found on the site are scored over all pages; the homepage stands for them
+  const candidate = siteNames && siteNames.candidates.find(entry => entry.name === name);
+  const structured = structuredData && [structuredData.name, structuredData.legalName].includes(name);
+  const sources = candidate ? candidate.sources : (structured ? structuredData.sources : []);
+  const method = sources.length > 0 ? nameMethod(sources) : null;
+
+  return {
+    value: name,
+    sourceUrl: homepage,
+    method,
+    source: sources.join(', ') || null,
+    crawledAt,
+    confidence: valueConfidence(method)
+  };
+}
+
+// valueSources entry of a list value. Crawl results written before entries
+// were keyed by valueKey have them under the plain value.
+function listValueSource(sources, field, value, valueKey) {
+  return sources[valueKey(field, value)] || (typeof value === 'string' ? sources[value] : null) || null;
+}
+
+// Provenance records of a profile's values:
+// { field: [{ value, sourceUrl, method, source, crawledAt, confidence }] }.
+// Every indexed extractor field on the profile gets them: one per value of a
+// list field, one for the value of a string or object field. valueSources,
+// homepage and the site's names come from its crawling_results.csv row;
+// crawledAt stands in for values whose page fetch time wasn't recorded.
+function buildProvenance(profile, nameData, { valueSources, homepage, siteNames, structuredData, crawledAt = null }) {
+  // Required here: the extractor registry requires this module
+  const { getFieldDefinitions, valueKey } = require('./extractors');
+  const provenance = {};
+  const allSources = valueSources || {};
+
+  getFieldDefinitions().forEach((definition, field) => {
+    const value = profile[field];
+    if (!definition.mapping || value === undefined || value === null || value === '') return;
+
+    // Crawl results from before derived fields had provenance: take their source values'
+    const derived = definition.sourceField && !allSources[field];
+    const sourceOf = item => {
+      if (derived) {
+        const sources = allSources[definition.sourceField] || {};
+        return definition.sourceValues(item)
+          .map(sourceValue => listValueSource(sources, definition.sourceField, sourceValue, valueKey))
+          .find(Boolean) || null;
+      }
+      return definition.type === 'list' ? listValueSource(allSources[field] || {}, field, item, valueKey) : allSources[field];
+    };
+
+    provenance[field] = definition.type === 'list'
+      ? value.map(item => crawledRecord(item, sourceOf(item), crawledAt))
+      : [crawledRecord(value, sourceOf(value), crawledAt)];
+  });
+
+  // Normalized phone numbers share the provenance of the first number written that way
+  provenance.phoneNumbersNormalized = profile.phoneNumbersNormalized.map(e164 => {
+    const raw = provenance.phoneNumbers.find(record => toE164(record.value, profile.phoneRegion) === e164);
+    return { ...(raw || crawledRecord(e164, null, crawledAt)), value: e164 };
+  });
+
+  // Site names date from the homepage fetch, when a value found on it recorded one
+  const homepageFetchedAt = Object.values(allSources)
+    .flatMap(sources => ('page' in sources ? [sources] : Object.values(sources)))
+    .filter(entry => entry && entry.page === homepage && entry.fetchedAt)
+    .map(entry => entry.fetchedAt)[0] || crawledAt;
+
+  ['company_commercial_name', 'company_legal_name'].forEach(field => {
+    const record = nameRecord(profile[field], nameData[field], siteNames, structuredData, homepage, homepageFetchedAt);
+    provenance[field] = record ? [record] : [];
+  });
+
+  return provenance;
+}
+
+module.exports = {
+  PROVENANCE_METHODS,
+  METHOD_CONFIDENCE,
+  MARKUP_REGEX_CONFIDENCE,
+  valueConfidence,
+  buildProvenance
+};
@@ -0,0 +1,81 @@
+// Streaming record files for the ingestion pipeline: CSV files (with a header
+// row) and NDJSON files (one JSON object per line) are read one record at a
+// time and written with backpressure, so file size doesn't bound memory
+const fs = require('fs');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { once } = require('events');
+const { parse } = require('csv-parse');
+const { stringify } = require('csv-stringify');
+
+// NDJSON by extension (.ndjson, .jsonl), CSV otherwise
+function isNdjson(file) {
+  return /\.(?:ndjson|jsonl)$/i.test(file);
+}
+
+// Records of a CSV or NDJSON file, one at a time. Malformed NDJSON lines are
+// skipped, as a run killed mid-write can leave a truncated last line. Read
+// errors (a missing file) reject the iteration; the file is closed when the
+// caller stops early.
+async function* readRecords(file) {
+  const input = fs.createReadStream(file, 'utf8');
+
+  try {
+    if (!isNdjson(file)) {
+      // pipeline destroys the parser with the read error, which the iteration rethrows
+      yield* pipeline(input, parse({ columns: true }), () => {});
+      return;
+    }
+
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // Skipped, see above
+      }
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+// Write a chunk, waiting for the stream to drain when its buffer is full
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+// Writer of a CSV or NDJSON file: { write(record), close() }. CSV columns are
+// taken from the first record.
+function createRecordWriter(file) {
+  const output = fs.createWriteStream(file);
+
+  if (isNdjson(file)) {
+    return {
+      write: record => writeChunk(output, `${JSON.stringify(record)}\n`),
+      close: async () => {
+        output.end();
+        await once(output, 'finish');
+      }
+    };
+  }
+
+  const csv = stringify({ header: true });
+  csv.pipe(output);
+  return {
+    write: record => writeChunk(csv, record),
+    close: async () => {
+      csv.end();
+      await once(output, 'finish');
+    }
+  };
+}
+
+module.exports = {
+  isNdjson,
+  readRecords,
+  writeChunk,
+  createRecordWriter
+};
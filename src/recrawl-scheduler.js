@@ -0,0 +1,143 @@
+// Re-crawl scheduler: finds profiles whose last successful crawl is older than
+// RECRAWL_MAX_AGE_DAYS and re-crawls them through the crawl job queue, the most
+// matched companies first. Domains that keep failing back off exponentially.
+// Runs inside the API process when RECRAWL_INTERVAL_MINUTES is set, or once
+// from the command line (npm run recrawl).
+const { client } = require('./elastic-client');
+const { readCrawlStateEntries } = require('./crawl-state');
+const { loadMatchCounts, saveMatchCounts } = require('./match-stats');
+const { createCrawlJob, waitForCrawlJob, activeCrawlDomains, jobProgress } = require('./crawl-jobs');
+
+// Constants
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const RECRAWL_MAX_AGE_DAYS = process.env.RECRAWL_MAX_AGE_DAYS ? parseFloat(process.env.RECRAWL_MAX_AGE_DAYS) : 30; // Profiles crawled longer ago are stale
+const RECRAWL_INTERVAL_MINUTES = process.env.RECRAWL_INTERVAL_MINUTES ? parseFloat(process.env.RECRAWL_INTERVAL_MINUTES) : 0; // 0 leaves the API's scheduler off
+const RECRAWL_BATCH_SIZE = parseInt(process.env.RECRAWL_BATCH_SIZE, 10) || 50; // Domains re-crawled per run
+const RECRAWL_FAILURE_BACKOFF_HOURS = process.env.RECRAWL_FAILURE_BACKOFF_HOURS ? parseFloat(process.env.RECRAWL_FAILURE_BACKOFF_HOURS) : 24; // Doubled after every further failure
+const RECRAWL_MAX_BACKOFF_DAYS = process.env.RECRAWL_MAX_BACKOFF_DAYS ? parseFloat(process.env.RECRAWL_MAX_BACKOFF_DAYS) : 30;
+const RECRAWL_CANDIDATE_LIMIT = 1000; // Most matched domains looked up, and oldest stale profiles read, per run
+
+let schedulerTimer = null;
+let running = false;
+
+// Time to wait after a domain's last failed attempt before trying it again
+function failureBackoffMs(consecutiveFailures) {
+  if (!consecutiveFailures) return 0;
+  const backoff = RECRAWL_FAILURE_BACKOFF_HOURS * HOUR_MS * 2 ** (consecutiveFailures - 1);
+  return Math.min(backoff, RECRAWL_MAX_BACKOFF_DAYS * DAY_MS);
+}
+
+// Stale profiles, oldest first; profiles never crawled come first. With
+// domains, only the stale profiles of those domains.
+async function findStaleProfiles(now, domains = null) {
+  const cutoff = new Date(now - RECRAWL_MAX_AGE_DAYS * DAY_MS).toISOString();
+  const result = await client.search({
+    index: 'companies',
+    size: RECRAWL_CANDIDATE_LIMIT,
+    _source: ['domain', 'lastCrawledAt'],
+    query: {
+      bool: {
+        filter: domains ? [{ terms: { domain: domains } }] : [],
+        should: [
+          { range: { lastCrawledAt: { lt: cutoff } } },
+          { bool: { must_not: [{ exists: { field: 'lastCrawledAt' } }] } }
+        ],
+        minimum_should_match: 1
+      }
+    },
+    sort: [{ lastCrawledAt: { order: 'asc', missing: '_first' } }]
+  });
+  return result.hits.hits.map(hit => hit._source);
+}
+
+// Pick the next domains to re-crawl: stale, not backing off after failures and
+// not already queued, the most matched first, then the longest uncrawled. The
+// most matched domains are looked up on their own, so a stale one is found
+// however recently the oldest profiles were crawled.
+async function selectRecrawlDomains(now = Date.now()) {
+  const matchCounts = loadMatchCounts();
+  const active = activeCrawlDomains();
+
+  const mostMatched = [...matchCounts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, RECRAWL_CANDIDATE_LIMIT)
+    .map(([domain]) => domain);
+  const seen = new Set();
+  const stale = [
+    ...(mostMatched.length > 0 ? await findStaleProfiles(now, mostMatched) : []),
+    ...(await findStaleProfiles(now))
+  ].filter(profile => !seen.has(profile.domain) && seen.add(profile.domain));
+  const crawlState = await readCrawlStateEntries(stale.map(profile => profile.domain));
+
+  const candidates = stale.filter(profile => {
+    if (active.has(profile.domain)) return false;
+    const entry = crawlState.get(profile.domain);
+    if (!entry || entry.outcome === 'success') return true;
+    return now - new Date(entry.lastAttemptAt).getTime() >= failureBackoffMs(entry.consecutiveFailures);
+  });
+
+  // The candidates are oldest first and the sort is stable
+  candidates.sort((a, b) => (matchCounts.get(b.domain) || 0) - (matchCounts.get(a.domain) || 0));
+
+  return candidates.slice(0, RECRAWL_BATCH_SIZE).map(profile => profile.domain);
+}
+
+// One scheduler run. Returns the crawl job started, or null when nothing is stale.
+async function runRecrawl() {
+  if (running) return null;
+  running = true;
+
+  try {
+    saveMatchCounts();
+    const domains = await selectRecrawlDomains();
+    if (domains.length === 0) {
+      console.log('Re-crawl: no stale profiles');
+      return null;
+    }
+
+    const job = createCrawlJob(domains, 'schedule');
+    console.log(`Re-crawl: job ${job.id} queued for ${domains.length} stale profiles`);
+    return job;
+  } finally {
+    running = false;
+  }
+}
+
+// Run the scheduler every RECRAWL_INTERVAL_MINUTES inside the API process.
+// The first run is one interval after startup, so restarting the API doesn't
+// start a crawl.
+function startRecrawlScheduler() {
+  if (RECRAWL_INTERVAL_MINUTES <= 0 || schedulerTimer) return;
+
+  const tick = () => runRecrawl().catch(error => console.error('Re-crawl error:', error));
+  schedulerTimer = setInterval(tick, RECRAWL_INTERVAL_MINUTES * 60 * 1000);
+  schedulerTimer.unref();
+
+  console.log(`Re-crawl scheduler started: profiles older than ${RECRAWL_MAX_AGE_DAYS} days, every ${RECRAWL_INTERVAL_MINUTES} minutes`);
+}
+
+// Run once from the command line and wait for the re-crawl to finish
+if (require.main === module) {
+  runRecrawl()
+    .then(async job => {
+      if (!job) return;
+      await waitForCrawlJob(job);
+      const progress = jobProgress(job);
+      console.log(`Re-crawl finished: ${progress.indexed} updated, ${progress.failed} failed`);
+      job.domains
+        .filter(entry => entry.changedFields.length > 0)
+        .forEach(entry => console.log(`  ${entry.domain}: ${entry.changedFields.join(', ')}`));
+    })
+    .catch(error => {
+      console.error('Error in re-crawl:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  RECRAWL_MAX_AGE_DAYS,
+  selectRecrawlDomains,
+  runRecrawl,
+  startRecrawlScheduler
+};
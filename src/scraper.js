@@ -1,259 +1,454 @@
 // Web Scraper for Company Information
 const fs = require('fs');
-const axios = require('axios');
 const cheerio = require('cheerio');
 const { parse } = require('csv-parse/sync');
 const { stringify } = require('csv-stringify/sync');
-const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
 const path = require('path');
+const crypto = require('crypto');
+const {
+  getRobotsRules,
+  checkRobots,
+  createHostScheduler,
+  waitForHostSlot,
+  handleHostSlotRequest
+} = require('./politeness');
+const { serializeList } = require('./csv-utils');
+const { fetchUrl } = require('./fetch-transport');
+const {
+  getFieldDefinitions,
+  extractPage,
+  mergePages,
+  finalizeRecord
+} = require('./extractors');
+const { isSameSite, normalizePageUrl } = require('./url-utils');
+const { PAGE_ARCHIVE_DIR, archivePage, loadSnapshotIndex } = require('./page-archive');
+const {
+  FAILURE_CATEGORIES,
+  createFetchError,
+  classifyFetchError,
+  isTransientError
+} = require('./fetch-errors');
+const {
+  SITE_STATUSES,
+  classifySiteStatus,
+  siteStatusOf,
+  isPlaceholderStatus
+} = require('./site-status');
+const {
+  CRAWL_FRESHNESS_DAYS,
+  loadCrawlState,
+  recordCrawlAttempt,
+  isFresh
+} = require('./crawl-state');
 
 // Constants
 const MAX_WORKERS = 20; // Adjust based on server capacity
-const REQUEST_TIMEOUT = 10000; // 10 seconds timeout for each request
-const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const MAX_PAGES_PER_DOMAIN = process.env.MAX_PAGES_PER_DOMAIN ? parseInt(process.env.MAX_PAGES_PER_DOMAIN, 10) : 6; // Homepage included
+const MAX_CRAWL_DEPTH = process.env.MAX_CRAWL_DEPTH ? parseInt(process.env.MAX_CRAWL_DEPTH, 10) : 2; // Link hops from the homepage
+const FETCH_RETRIES = process.env.FETCH_RETRIES ? parseInt(process.env.FETCH_RETRIES, 10) : 2; // Retries of a homepage fetch after a transient error
+const RETRY_BASE_DELAY_MS = process.env.RETRY_BASE_DELAY_MS ? parseInt(process.env.RETRY_BASE_DELAY_MS, 10) : 1000; // Doubled after every retry
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
 
-// Regular expressions for data extraction
-const PHONE_REGEX = /(\+?1[-.\s]?)?(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})/g;
-const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-const ADDRESS_REGEX = /(\d+\s+[A-Za-z0-9\s,.-]+(?:Avenue|Lane|Road|Boulevard|Drive|Street|Ave|Dr|Rd|Blvd|Ln|St)\.?)\s+([A-Za-z]+[\s,.-]+[A-Za-z]+)\s+([A-Z]{2})\s+(\d{5}(?:-\d{4})?)/gi;
-
-// Social media domains for link extraction
-const SOCIAL_MEDIA_DOMAINS = [
-  'facebook.com',
-  'twitter.com',
-  'instagram.com',
-  'linkedin.com',
-  'youtube.com',
-  'pinterest.com',
-  'tiktok.com',
-  'snapchat.com',
-  't.me', // Telegram
-  'reddit.com',
-  'github.com',
-  'medium.com',
-  'tumblr.com'
+// Hints for finding contact pages
+const CONTACT_ANCHOR_KEYWORDS = [
+  'contact',
+  'about',
+  'location',
+  'find us',
+  'visit us',
+  'get in touch',
+  'reach us',
+  'our office',
+  'impressum',
+  'kontakt'
 ];
+const CONTACT_PATH_REGEX = /\/(contact|about|locations?|find-us|visit|directions|offices?|impressum|kontakt)(?:[-_/.]|$)/i;
+const CONTACT_SITEMAP_SCORE = 2;
+const MAX_SITEMAPS_PER_DOMAIN = 2;
+const NON_HTML_EXTENSION_REGEX = /\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|mp[34]|css|js)$/i;
+
+// Set in --re-extract mode: pages are served from the snapshot archive instead of the network
+let offlineSnapshots = null;
 
-// Worker function to process a batch of domains
+// Worker function: pull domains from the main thread's queue until it runs dry
 if (!isMainThread) {
-  const { domains, startIndex } = workerData;
-  processDomains(domains).then(results => {
-    parentPort.postMessage({ results, startIndex });
-  }).catch(error => {
+  processQueue().catch(error => {
     console.error('Worker error:', error);
-    parentPort.postMessage({ error: error.message, startIndex });
+    parentPort.postMessage({ error: error.message });
   });
 }
 
-async function processDomains(domains) {
-  const results = [];
-  
-  for (const domain of domains) {
-    try {
-      const data = await extractDataFromWebsite(domain);
-      results.push({
-        domain,
-        ...data,
-        success: true
-      });
-    } catch (error) {
-      results.push({
-        domain,
-        error: error.message,
-        success: false
-      });
-    }
+async function processQueue() {
+  let job;
+  while ((job = await requestNextDomain())) {
+    const result = await crawlWebsite(job.domain);
+    
+    // Report each domain as soon as it's done so the main thread can persist it
+    parentPort.postMessage({ type: 'result', index: job.index, result });
   }
+}
+
+// Ask the main thread for the next domain; resolves to null once the queue is empty
+function requestNextDomain() {
+  return new Promise(resolve => {
+    const onMessage = message => {
+      if (message && message.type === 'next-domain') {
+        parentPort.off('message', onMessage);
+        parentPort.unref();
+        resolve(message.job);
+      }
+    };
+    parentPort.on('message', onMessage);
+    parentPort.ref();
+    parentPort.postMessage({ type: 'request-domain' });
+  });
+}
+
+// Crawl one domain and build its result, timing the whole crawl
+async function crawlWebsite(domain) {
+  const startedAt = Date.now();
   
-  return results;
+  try {
+    const data = await extractDataFromWebsite(domain);
+    return {
+      domain,
+      ...data,
+      success: true,
+      siteStatus: 'active',
+      latencyMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      domain,
+      error: error.message,
+      // Placeholder sites answered fine; they have a site status instead of a failure category
+      errorCategory: error.skipped || error.siteStatus ? null : classifyFetchError(error),
+      siteStatus: error.skipped ? null : (error.siteStatus || 'unreachable'),
+      success: false,
+      skipped: Boolean(error.skipped),
+      latencyMs: Date.now() - startedAt
+    };
+  }
 }
 
 async function extractDataFromWebsite(domain) {
   // Ensure domain has protocol
   const url = domain.startsWith('http') ? domain : `https://${domain}`;
   
+  const homepage = await fetchHomepage(url);
+  
+  // Parking, for-sale and placeholder pages have no company data, only the
+  // registrar's or marketplace's contact details
+  const siteStatus = classifySiteStatus(homepage);
+  if (siteStatus !== 'active') {
+    const error = new Error(`No company site (${siteStatus})`);
+    error.siteStatus = siteStatus;
+    throw error;
+  }
+  
+  // Crawl the site the domain redirects to, so its pages count as same-site
+  const result = await crawlDomain(homepage.finalUrl, homepage.html, homepage.fetchedAt);
+  return {
+    ...result,
+    redirectChain: homepage.redirectChain,
+    finalHost: new URL(homepage.finalUrl).hostname.toLowerCase()
+  };
+}
+
+// Fetch the homepage, falling back to http:// when https:// fails
+async function fetchHomepage(url) {
   try {
-    // Fetch the website content
-    const response = await axios.get(url, {
-      timeout: REQUEST_TIMEOUT,
-      headers: {
-        'User-Agent': USER_AGENT
-      }
-    });
-    
-    // If HTTP request fails, try with http://
-    if (!response.data) {
-      throw new Error('Empty response');
+    return await fetchNonEmptyPage(url);
+  } catch (error) {
+    // Domains skipped for politeness reasons are not retried over http
+    if (error.skipped) {
+      throw error;
     }
     
-    // Load the HTML into cheerio
-    const $ = cheerio.load(response.data);
-    
-    // Extract the data
-    const phoneNumbers = extractPhoneNumbers($, response.data);
-    const socialMediaLinks = extractSocialMediaLinks($, url);
-    const addresses = extractAddresses($, response.data);
-    const emails = extractEmails($, response.data);
-    
-    return {
-      url,
-      phoneNumbers,
-      socialMediaLinks,
-      addresses,
-      emails
-    };
-  } catch (error) {
     // If https fails, try with http
     if (url.startsWith('https://')) {
       try {
         const httpUrl = url.replace('https://', 'http://');
-        const response = await axios.get(httpUrl, {
-          timeout: REQUEST_TIMEOUT,
-          headers: {
-            'User-Agent': USER_AGENT
-          }
-        });
-        
-        const $ = cheerio.load(response.data);
-        
-        const phoneNumbers = extractPhoneNumbers($, response.data);
-        const socialMediaLinks = extractSocialMediaLinks($, httpUrl);
-        const addresses = extractAddresses($, response.data);
-        const emails = extractEmails($, response.data);
-        
-        return {
-          url: httpUrl,
-          phoneNumbers,
-          socialMediaLinks,
-          addresses,
-          emails
-        };
+        return await fetchNonEmptyPage(httpUrl);
       } catch (httpError) {
-        throw new Error(`Failed to fetch website: ${error.message}`);
+        throw createFetchError(`Failed to fetch website: ${error.message}`, classifyFetchError(error));
       }
     } else {
-      throw new Error(`Failed to fetch website: ${error.message}`);
+      throw createFetchError(`Failed to fetch website: ${error.message}`, classifyFetchError(error));
     }
   }
 }
 
-function extractPhoneNumbers($, html) {
-  const phoneNumbers = new Set();
+// Fetch a page that must have content. Returns { finalUrl, redirectChain, html, fetchedAt }.
+async function fetchNonEmptyPage(url) {
+  const response = await fetchResponse(url, FETCH_RETRIES);
+  if (!response.body || !response.body.trim()) {
+    throw createFetchError('Empty response', 'empty-body');
+  }
+  return {
+    finalUrl: response.finalUrl,
+    redirectChain: response.redirectChain,
+    html: response.body,
+    fetchedAt: response.fetchedAt
+  };
+}
+
+// Body of a page, see fetchResponse
+async function fetchPage(url, retries = 0) {
+  return (await fetchResponse(url, retries)).body;
+}
+
+// Fetch a page through the fetch transport after checking robots.txt and waiting
+// for the host's next request slot, and archive the response. Returns { body, finalUrl, redirectChain, fetchedAt },
+// where redirectChain lists every URL requested with its status, ending at finalUrl.
+async function fetchResponse(url, retries = 0) {
+  if (offlineSnapshots) {
+    return readSnapshot(url);
+  }
   
-  // Extract from HTML using regex
-  const matches = html.match(PHONE_REGEX) || [];
-  matches.forEach(match => phoneNumbers.add(match.trim()));
+  const skipReason = await checkRobots(url);
+  if (skipReason) {
+    const error = new Error(skipReason);
+    error.skipped = true;
+    throw error;
+  }
   
-  // Look for phone numbers in specific HTML elements
-  $('a[href^="tel:"]').each((_, element) => {
-    const href = $(element).attr('href');
-    if (href) {
-      const phone = href.replace('tel:', '').trim();
-      phoneNumbers.add(phone);
+  const robots = await getRobotsRules(url);
+  let response;
+  let fetchedAt;
+  
+  // Transient errors (timeouts, 5xx, dropped connections) are retried with exponential backoff
+  for (let attempt = 0; ; attempt++) {
+    await waitForHostSlot(new URL(url).hostname, robots.crawlDelay);
+    
+    fetchedAt = new Date().toISOString();
+    try {
+      response = await fetchUrl(url);
+      break;
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** attempt));
     }
+  }
+  
+  const { body, finalUrl, redirects } = response;
+  
+  archivePage({
+    requestedUrl: url,
+    finalUrl,
+    redirects,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    body,
+    fetchedAt
   });
   
-  // Look for elements with common phone-related classes or IDs
-  $('.phone, .tel, #phone, #tel, [itemprop="telephone"]').each((_, element) => {
-    const text = $(element).text().trim();
-    if (PHONE_REGEX.test(text)) {
-      phoneNumbers.add(text);
+  return {
+    body,
+    finalUrl,
+    redirectChain: [...redirects, { url: finalUrl, status: response.status }],
+    fetchedAt
+  };
+}
+
+function readSnapshot(url) {
+  const snapshot = offlineSnapshots.get(url);
+  if (!snapshot) {
+    throw new Error('Page not in snapshot archive');
+  }
+  
+  // Snapshots are indexed by their final URL too; asking for that one involves no redirect.
+  // Archives written before redirects were recorded only know where the chain started.
+  let redirects = [];
+  if (normalizePageUrl(url) !== normalizePageUrl(snapshot.finalUrl)) {
+    redirects = snapshot.redirects.length > 0 ? snapshot.redirects : [{ url: snapshot.requestedUrl, status: null }];
+  }
+  return {
+    body: snapshot.body,
+    finalUrl: snapshot.finalUrl,
+    redirectChain: [...redirects, { url: snapshot.finalUrl, status: snapshot.status }],
+    fetchedAt: snapshot.fetchedAt || null
+  };
+}
+
+// Crawl the homepage plus likely contact pages on the same site, bounded by
+// MAX_PAGES_PER_DOMAIN and MAX_CRAWL_DEPTH, and merge the extracted values
+async function crawlDomain(startUrl, startHtml, startFetchedAt) {
+  const pages = [];
+  const pagesCrawled = [];
+  const contentHash = crypto.createHash('sha256');
+  const seen = new Set([normalizePageUrl(startUrl)]);
+  const queue = [{ url: startUrl, depth: 0, html: startHtml, fetchedAt: startFetchedAt }];
+  let canonicalUrl = '';
+  
+  // Sitemap entries that look like contact pages are queued as depth 1 links
+  if (MAX_CRAWL_DEPTH > 0) {
+    const sitemapUrls = await fetchSitemapContactUrls(startUrl);
+    sitemapUrls.forEach(url => {
+      const key = normalizePageUrl(url);
+      if (!seen.has(key)) {
+        seen.add(key);
+        queue.push({ url, depth: 1, score: CONTACT_SITEMAP_SCORE });
+      }
+    });
+  }
+  
+  while (queue.length > 0 && pagesCrawled.length < MAX_PAGES_PER_DOMAIN) {
+    const page = queue.shift();
+    
+    let html = page.html;
+    let fetchedAt = page.fetchedAt;
+    if (html === undefined) {
+      try {
+        ({ body: html, fetchedAt } = await fetchResponse(page.url));
+      } catch (error) {
+        // Sub-page failures don't fail the domain
+        continue;
+      }
     }
-  });
+    if (!html) continue;
+    
+    pagesCrawled.push(page.url);
+    contentHash.update(html);
+    
+    const $ = cheerio.load(html);
+    pages.push({ url: page.url, fetchedAt, values: extractPage({ $, html, url: page.url }) });
+    
+    if (pagesCrawled.length === 1) {
+      canonicalUrl = findCanonicalUrl($, page.url);
+    }
+    
+    if (page.depth < MAX_CRAWL_DEPTH) {
+      findContactPageLinks($, page.url).forEach(link => {
+        const key = normalizePageUrl(link.url);
+        if (!seen.has(key)) {
+          seen.add(key);
+          queue.push({ url: link.url, depth: page.depth + 1, score: link.score });
+        }
+      });
+      
+      // Keep the queue breadth-first, best candidates first within a depth
+      queue.sort((a, b) => (a.depth - b.depth) || ((b.score || 0) - (a.score || 0)));
+    }
+  }
   
-  return [...phoneNumbers];
+  // Merge the values of all pages, then let the extractors validate and derive fields
+  const result = {
+    url: startUrl,
+    pagesCrawled,
+    contentHash: contentHash.digest('hex'),
+    canonicalUrl,
+    ...mergePages(pages)
+  };
+  
+  return finalizeRecord(result, { url: startUrl });
 }
 
-function extractSocialMediaLinks($, baseUrl) {
-  const socialLinks = new Set();
+// The homepage's <link rel="canonical">, resolved against the page URL
+function findCanonicalUrl($, pageUrl) {
+  const href = $('link[rel~="canonical" i][href]').first().attr('href');
+  if (!href) return '';
   
-  // Process all links
-  $('a').each((_, element) => {
+  try {
+    const canonical = new URL(href.trim(), pageUrl);
+    return ['http:', 'https:'].includes(canonical.protocol) ? canonical.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Score same-site links that are likely to hold contact details
+function findContactPageLinks($, baseUrl) {
+  const candidates = new Map();
+  
+  $('a[href]').each((_, element) => {
     const href = $(element).attr('href');
-    if (!href) return;
     
-    // Normalize the URL
-    let fullUrl;
+    let linkUrl;
     try {
-      fullUrl = new URL(href, baseUrl).href;
+      linkUrl = new URL(href, baseUrl);
     } catch (e) {
       // Invalid URL, skip
       return;
     }
     
-    // Check if the URL contains any social media domain
-    for (const domain of SOCIAL_MEDIA_DOMAINS) {
-      if (fullUrl.includes(domain)) {
-        socialLinks.add(fullUrl);
-        break;
-      }
-    }
+    if (!['http:', 'https:'].includes(linkUrl.protocol)) return;
+    if (!isSameSite(linkUrl.href, baseUrl)) return;
+    if (NON_HTML_EXTENSION_REGEX.test(linkUrl.pathname)) return;
     
-    // Check for common social media paths
-    if (href.match(/\/(facebook|twitter|instagram|linkedin|youtube|pinterest)$/i)) {
-      socialLinks.add(fullUrl);
+    let score = 0;
+    const anchorText = $(element).text().trim().toLowerCase();
+    
+    if (CONTACT_ANCHOR_KEYWORDS.some(keyword => anchorText.includes(keyword))) {
+      score += 2;
     }
-  });
-  
-  // Also look for social media icons
-  $('a i.fa-facebook, a i.fa-twitter, a i.fa-instagram, a i.fa-linkedin, a i.fa-youtube, a i.fa-pinterest, a i.fa-github, a i.fa-medium').each((_, element) => {
-    const href = $(element).parent().attr('href');
-    if (href) {
-      try {
-        const fullUrl = new URL(href, baseUrl).href;
-        socialLinks.add(fullUrl);
-      } catch (e) {
-        // Invalid URL, skip
-      }
+    if (CONTACT_PATH_REGEX.test(linkUrl.pathname)) {
+      score += 2;
+    }
+    // Contact links usually live in the footer or main navigation
+    if (score > 0 && $(element).closest('footer, nav, header, #footer, .footer').length > 0) {
+      score += 1;
+    }
+    
+    if (score === 0) return;
+    
+    linkUrl.hash = '';
+    const key = normalizePageUrl(linkUrl.href);
+    const existing = candidates.get(key);
+    if (!existing || existing.score < score) {
+      candidates.set(key, { url: linkUrl.href, score });
     }
   });
   
-  return [...socialLinks];
+  return [...candidates.values()].sort((a, b) => b.score - a.score);
 }
 
-function extractAddresses($, html) {
-  const addresses = new Set();
-  
-  // Extract from HTML using regex
-  const matches = html.match(ADDRESS_REGEX) || [];
-  matches.forEach(match => addresses.add(match.trim()));
-  
-  // Look for address in structured data
-  $('[itemtype="http://schema.org/PostalAddress"], [itemprop="address"]').each((_, element) => {
-    const addressText = $(element).text().trim().replace(/\s+/g, ' ');
-    if (addressText) {
-      addresses.add(addressText);
-    }
-  });
+// Read the sitemaps listed in robots.txt (or /sitemap.xml) and return the
+// entries whose paths look like contact pages
+async function fetchSitemapContactUrls(baseUrl) {
+  const sitemapUrls = offlineSnapshots
+    ? offlineSnapshots.sitemapUrls(baseUrl)
+    : (await getRobotsRules(baseUrl)).sitemaps.filter(url => isSameSite(url, baseUrl));
+  if (sitemapUrls.length === 0) {
+    sitemapUrls.push(new URL('/sitemap.xml', baseUrl).href);
+  }
   
-  // Look for address in common elements
-  $('.address, #address, .location, #location').each((_, element) => {
-    const addressText = $(element).text().trim().replace(/\s+/g, ' ');
-    if (addressText) {
-      addresses.add(addressText);
+  const urls = [];
+  for (const sitemapUrl of sitemapUrls.slice(0, MAX_SITEMAPS_PER_DOMAIN)) {
+    try {
+      const xml = await fetchPage(sitemapUrl);
+      if (xml) {
+        urls.push(...parseSitemapContactUrls(xml, baseUrl));
+      }
+    } catch (error) {
+      // Missing or disallowed sitemap, skip
     }
-  });
+  }
   
-  return [...addresses];
+  return urls;
 }
 
-function extractEmails($, html) {
-  const emails = new Set();
-  
-  // Extract from HTML using regex
-  const matches = html.match(EMAIL_REGEX) || [];
-  matches.forEach(match => emails.add(match.trim()));
+function parseSitemapContactUrls(xml, baseUrl) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const urls = [];
   
-  // Look for mailto links
-  $('a[href^="mailto:"]').each((_, element) => {
-    const href = $(element).attr('href');
-    if (href) {
-      const email = href.replace('mailto:', '').trim().split('?')[0];
-      emails.add(email);
+  $('url > loc').each((_, element) => {
+    const loc = $(element).text().trim();
+    try {
+      const locUrl = new URL(loc);
+      if (isSameSite(locUrl.href, baseUrl) && CONTACT_PATH_REGEX.test(locUrl.pathname)) {
+        urls.push(locUrl.href);
+      }
+    } catch (e) {
+      // Invalid URL, skip
     }
   });
   
-  return [...emails];
+  return urls;
 }
 
 // Main function for multi-threaded processing
@@ -266,32 +461,56 @@ async function main() {
     
     // Extract domains
     const domains = records.map(record => record.domain);
-    console.log(`Total domains to process: ${domains.length}`);
+    console.log(`Total domains: ${domains.length}`);
     
-    // Divide work among workers
-    const workers = [];
+    // Resume from the crawl state journal: domains crawled successfully within
+    // the freshness window keep their last result unless --full is passed
+    const fullCrawl = process.argv.includes('--full');
+    const crawlState = loadCrawlState();
     const results = new Array(domains.length);
-    const batchSize = Math.ceil(domains.length / MAX_WORKERS);
+    const pendingDomains = [];
     
-    for (let i = 0; i < MAX_WORKERS; i++) {
-      const startIndex = i * batchSize;
-      const endIndex = Math.min(startIndex + batchSize, domains.length);
-      const workerDomains = domains.slice(startIndex, endIndex);
-      
-      if (workerDomains.length === 0) continue;
-      
-      const worker = new Worker(__filename, {
-        workerData: { domains: workerDomains, startIndex }
-      });
+    domains.forEach((domain, index) => {
+      const entry = crawlState.get(domain);
+      if (!fullCrawl && isFresh(entry)) {
+        results[index] = entry.result;
+      } else {
+        pendingDomains.push({ domain, index });
+      }
+    });
+    
+    console.log(`Total domains to process: ${pendingDomains.length} (${domains.length - pendingDomains.length} crawled within the last ${CRAWL_FRESHNESS_DAYS} days)`);
+    
+    const freshWebsites = domains.length - pendingDomains.length;
+    
+    if (pendingDomains.length === 0) {
+      processResults(results, freshWebsites);
+      return;
+    }
+    
+    // Per-host request pacing shared by all workers
+    const hostScheduler = createHostScheduler();
+    
+    // Workers pull domains from a shared queue, so a worker stuck on slow
+    // domains doesn't hold back the others
+    const queue = pendingDomains.slice();
+    const workers = [];
+    const workerCount = Math.min(MAX_WORKERS, pendingDomains.length);
+    
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(__filename);
       
       worker.on('message', message => {
-        if (message.error) {
-          console.error(`Worker error at index ${message.startIndex}:`, message.error);
-        } else {
-          // Add results to the correct positions in the results array
-          message.results.forEach((result, index) => {
-            results[message.startIndex + index] = result;
-          });
+        if (message.type === 'host-slot') {
+          handleHostSlotRequest(hostScheduler, worker, message);
+        } else if (message.type === 'request-domain') {
+          worker.postMessage({ type: 'next-domain', job: queue.shift() || null });
+        } else if (message.type === 'result') {
+          // Persist the attempt right away so an interrupted run can resume
+          results[message.index] = message.result;
+          recordCrawlAttempt(crawlState, message.result);
+        } else if (message.error) {
+          console.error('Worker error:', message.error);
         }
       });
       
@@ -312,7 +531,7 @@ async function main() {
         
         // If all workers are done, process the results
         if (workers.length === 0) {
-          processResults(results);
+          processResults(results, freshWebsites);
         }
       });
       
@@ -324,7 +543,7 @@ async function main() {
 }
 
 // Process the results
-function processResults(results) {
+function processResults(results, freshWebsites = 0) {
   console.timeEnd('Total Processing Time');
   
   // Filter out null/undefined results
@@ -333,40 +552,90 @@ function processResults(results) {
   // Calculate statistics
   const totalWebsites = results.length;
   const successfulWebsites = validResults.filter(result => result.success).length;
-  const coverage = (successfulWebsites / totalWebsites) * 100;
+  const skippedResults = validResults.filter(result => result.skipped);
   
-  // Calculate fill rates
-  const websitesWithPhones = validResults.filter(result => result.success && result.phoneNumbers && result.phoneNumbers.length > 0).length;
-  const websitesWithSocial = validResults.filter(result => result.success && result.socialMediaLinks && result.socialMediaLinks.length > 0).length;
-  const websitesWithAddresses = validResults.filter(result => result.success && result.addresses && result.addresses.length > 0).length;
-  const websitesWithEmails = validResults.filter(result => result.success && result.emails && result.emails.length > 0).length;
+  // Parked, for-sale, under-construction and marketplace domains have no site
+  // to extract from, so they don't count against coverage
+  const placeholderResults = validResults.filter(result => isPlaceholderStatus(siteStatusOf(result)));
+  const sitesToCrawl = totalWebsites - placeholderResults.length;
+  // 0 when every domain is a placeholder
+  const coverage = sitesToCrawl > 0 ? (successfulWebsites / sitesToCrawl) * 100 : 0;
+  const siteStatuses = {};
+  SITE_STATUSES.forEach(status => {
+    siteStatuses[status] = 0;
+  });
+  validResults.forEach(result => {
+    const status = siteStatusOf(result);
+    if (status) {
+      siteStatuses[status] = (siteStatuses[status] || 0) + 1;
+    }
+  });
   
-  const phonesFillRate = (websitesWithPhones / successfulWebsites) * 100;
-  const socialFillRate = (websitesWithSocial / successfulWebsites) * 100;
-  const addressesFillRate = (websitesWithAddresses / successfulWebsites) * 100;
-  const emailsFillRate = (websitesWithEmails / successfulWebsites) * 100;
+  // Calculate fill rates for every extractor field that reports one
+  const fillRates = {};
+  const fillCounts = {};
+  getFieldDefinitions().forEach((definition, field) => {
+    if (definition.fillRate === false) return;
+    fillCounts[field] = validResults.filter(result => result.success && hasValue(result[field])).length;
+    fillRates[field] = successfulWebsites > 0 ? (fillCounts[field] / successfulWebsites) * 100 : 0;
+  });
+  const websitesWithStructuredData = validResults.filter(result => result.success && result.structuredData).length;
+  
+  // Failures by category
+  const failedResults = validResults.filter(result =>
+    !result.success && !result.skipped && !isPlaceholderStatus(siteStatusOf(result)));
+  const failureCategories = {};
+  FAILURE_CATEGORIES.forEach(category => {
+    failureCategories[category] = 0;
+  });
+  failedResults.forEach(result => {
+    const category = result.errorCategory || 'other';
+    failureCategories[category] = (failureCategories[category] || 0) + 1;
+  });
+  
+  // Time spent per domain, over every domain with a measured crawl
+  const latencies = validResults
+    .filter(result => typeof result.latencyMs === 'number')
+    .map(result => result.latencyMs)
+    .sort((a, b) => a - b);
+  const latencyPercentiles = {};
+  LATENCY_PERCENTILES.forEach(percentile => {
+    latencyPercentiles[`p${percentile}`] = percentileOf(latencies, percentile);
+  });
+  latencyPercentiles.max = latencies.length > 0 ? latencies[latencies.length - 1] : null;
+  
+  // Pages fetched per successfully crawled domain
+  const totalPagesCrawled = validResults
+    .filter(result => result.success && result.pagesCrawled)
+    .reduce((sum, result) => sum + result.pagesCrawled.length, 0);
+  const averagePagesCrawled = successfulWebsites > 0 ? totalPagesCrawled / successfulWebsites : 0;
   
   // Print statistics
   console.log('\n--- Crawling Results ---');
   console.log(`Total websites: ${totalWebsites}`);
-  console.log(`Successfully crawled: ${successfulWebsites} (${coverage.toFixed(2)}%)`);
+  console.log(`Successfully crawled: ${successfulWebsites} (${coverage.toFixed(2)}% of domains not parked, for sale or under construction)`);
+  console.log(`Skipped (robots.txt / politeness): ${skippedResults.length}`);
+  console.log(`No company site: ${placeholderResults.length}`);
+  Object.entries(siteStatuses)
+    .filter(([status, count]) => isPlaceholderStatus(status) && count > 0)
+    .forEach(([status, count]) => console.log(`  ${status}: ${count}`));
+  console.log(`Failed: ${failedResults.length}`);
+  Object.entries(failureCategories)
+    .filter(([, count]) => count > 0)
+    .forEach(([category, count]) => console.log(`  ${category}: ${count}`));
+  console.log(`Reused from crawl state (still fresh): ${freshWebsites}`);
+  console.log(`Pages crawled: ${totalPagesCrawled} (${averagePagesCrawled.toFixed(2)} per website)`);
+  console.log(`Latency per website (ms): ${Object.entries(latencyPercentiles).map(([name, value]) => `${name} ${value}`).join(', ')}`);
   
   console.log('\n--- Fill Rates ---');
-  console.log(`Phone numbers: ${websitesWithPhones} (${phonesFillRate.toFixed(2)}%)`);
-  console.log(`Social media links: ${websitesWithSocial} (${socialFillRate.toFixed(2)}%)`);
-  console.log(`Addresses: ${websitesWithAddresses} (${addressesFillRate.toFixed(2)}%)`);
-  console.log(`Email addresses: ${websitesWithEmails} (${emailsFillRate.toFixed(2)}%)`);
+  Object.keys(fillRates).forEach(field => {
+    const label = getFieldDefinitions().get(field).label || field;
+    console.log(`${label}: ${fillCounts[field]} (${fillRates[field].toFixed(2)}%)`);
+  });
+  console.log(`Structured data (JSON-LD / microdata / RDFa): ${websitesWithStructuredData}`);
   
-  // Save the results to a CSV file
-  const outputData = validResults.map(result => ({
-    domain: result.domain,
-    success: result.success,
-    phoneNumbers: result.phoneNumbers ? result.phoneNumbers.join(', ') : '',
-    socialMediaLinks: result.socialMediaLinks ? result.socialMediaLinks.join(', ') : '',
-    addresses: result.addresses ? result.addresses.join(', ') : '',
-    emails: result.emails ? result.emails.join(', ') : '',
-    error: result.error || ''
-  }));
+  // Save the results to a CSV file, one column per extractor field
+  const outputData = validResults.map(resultToRow);
   
   const outputCsv = stringify(outputData, { header: true });
   fs.writeFileSync('./data/crawling_results.csv', outputCsv);
@@ -376,13 +645,31 @@ function processResults(results) {
     timestamp: new Date().toISOString(),
     totalWebsites,
     successfulWebsites,
+    skippedWebsites: skippedResults.length,
+    placeholderWebsites: placeholderResults.length,
+    failedWebsites: failedResults.length,
+    freshWebsites,
     coverage: coverage.toFixed(2),
-    fillRates: {
-      phoneNumbers: phonesFillRate.toFixed(2),
-      socialMediaLinks: socialFillRate.toFixed(2),
-      addresses: addressesFillRate.toFixed(2),
-      emails: emailsFillRate.toFixed(2)
-    }
+    totalPagesCrawled,
+    websitesWithStructuredData,
+    averagePagesCrawled: averagePagesCrawled.toFixed(2),
+    latencyMs: latencyPercentiles,
+    failureCategories,
+    siteStatuses,
+    fillRates: Object.fromEntries(Object.entries(fillRates).map(([field, rate]) => [field, rate.toFixed(2)])),
+    skipped: skippedResults.map(result => ({
+      domain: result.domain,
+      reason: result.error
+    })),
+    placeholders: placeholderResults.map(result => ({
+      domain: result.domain,
+      siteStatus: siteStatusOf(result)
+    })),
+    failed: failedResults.map(result => ({
+      domain: result.domain,
+      category: result.errorCategory || 'other',
+      reason: result.error
+    }))
   };
   
   fs.writeFileSync('./data/crawling_statistics.json', JSON.stringify(statistics, null, 2));
@@ -390,7 +677,91 @@ function processResults(results) {
   console.log('Statistics saved to crawling_statistics.json');
 }
 
-// If this is the main thread, run the main function
-if (isMainThread) {
-  main().catch(console.error);
-}
\ No newline at end of file
+// A crawl result as a crawling_results.csv row
+function resultToRow(result) {
+  const row = {
+    domain: result.domain,
+    success: result.success,
+    skipped: Boolean(result.skipped),
+    siteStatus: siteStatusOf(result) || ''
+  };
+  getFieldDefinitions().forEach((definition, field) => {
+    row[field] = serializeField(definition, result[field]);
+  });
+  row.pagesCrawled = result.pagesCrawled ? result.pagesCrawled.join(', ') : '';
+  row.redirectChain = result.redirectChain ? JSON.stringify(result.redirectChain) : '';
+  row.finalHost = result.finalHost || '';
+  row.canonicalUrl = result.canonicalUrl || '';
+  row.valueSources = result.valueSources ? JSON.stringify(result.valueSources) : '';
+  row.latencyMs = typeof result.latencyMs === 'number' ? result.latencyMs : '';
+  row.errorCategory = result.errorCategory || '';
+  row.error = result.error || '';
+  return row;
+}
+
+// Nearest-rank percentile of an ascending list
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Write an extractor field to its CSV column: lists and objects as JSON
+function serializeField(definition, value) {
+  if (definition.type === 'list') return serializeList(value);
+  if (definition.type === 'object') return value ? JSON.stringify(value) : '';
+  if (definition.type === 'number') return typeof value === 'number' ? String(value) : '';
+  return value || '';
+}
+
+// Re-run the extractors over the snapshot archive without network access and
+// regenerate crawling_results.csv
+async function reExtract() {
+  try {
+    console.time('Total Processing Time');
+    
+    offlineSnapshots = loadSnapshotIndex();
+    console.log(`Loaded ${offlineSnapshots.size} archived pages from ${PAGE_ARCHIVE_DIR}`);
+    
+    const csvFile = fs.readFileSync('./data/sample-websites.csv', 'utf8');
+    const domains = parse(csvFile, { columns: true }).map(record => record.domain);
+    console.log(`Total domains to re-extract: ${domains.length}`);
+    
+    // Domains skipped for politeness reasons have nothing archived; keep their last result
+    const crawlState = loadCrawlState();
+    
+    const results = [];
+    for (const domain of domains) {
+      const entry = crawlState.get(domain);
+      if (entry && entry.outcome === 'skipped') {
+        results.push(entry.result);
+        continue;
+      }
+      
+      results.push(await crawlWebsite(domain));
+    }
+    
+    processResults(results);
+  } catch (error) {
+    console.error('Error in re-extract:', error);
+  }
+}
+
+// Run the crawl when this file is executed directly; the API requires it to crawl on demand
+if (isMainThread && require.main === module) {
+  if (process.argv.includes('--re-extract')) {
+    reExtract().catch(console.error);
+  } else {
+    main().catch(console.error);
+  }
+}
+
+module.exports = {
+  crawlWebsite,
+  extractDataFromWebsite,
+  resultToRow
+};
@@ -0,0 +1,131 @@
+// Site status: whether a domain hosts a live company site, or a registrar
+// parking page, a "for sale" page, a placeholder or a domain marketplace listing
+const cheerio = require('cheerio');
+
+// Every status a crawled domain can get, written to the siteStatus column and profile field
+const SITE_STATUSES = [
+  'active',
+  'parked',
+  'for-sale',
+  'under-construction',
+  'marketplace-redirect',
+  'unreachable'
+];
+
+// Statuses of domains that answered but have no company site behind them
+const PLACEHOLDER_STATUSES = ['parked', 'for-sale', 'under-construction', 'marketplace-redirect'];
+
+// Domain marketplaces and aftermarket landers a for-sale domain redirects to
+const MARKETPLACE_URL_PATTERNS = [
+  /^https?:\/\/(?:[^/]+\.)?(?:dan\.com|afternic\.com|sedo\.com|hugedomains\.com|buydomains\.com|undeveloped\.com|squadhelp\.com|atom\.com|brandbucket\.com|domainmarket\.com|efty\.com|epik\.com)(?:[/:?#]|$)/i,
+  /^https?:\/\/(?:[^/]+\.)?godaddy\.com\/(?:forsale|domainsearch|domain-auctions?)\b/i
+];
+
+// Parking services a parked domain redirects to
+const PARKING_URL_PATTERNS = [
+  /^https?:\/\/(?:[^/]+\.)?(?:sedoparking\.com|parkingcrew\.net|bodis\.com|above\.com|parklogic\.com|domainparking\.ru|parked\.com)(?:[/:?#]|$)/i
+];
+
+// Text and markup of "this domain is for sale" pages
+const FOR_SALE_PATTERNS = [
+  /this domain (?:name )?(?:is|may be|might be) (?:for sale|available for (?:purchase|sale))/i,
+  /the domain (?:name )?[\w.-]+ (?:is|may be) for sale/i,
+  /buy this domain/i,
+  /inquire about (?:purchasing )?this domain/i,
+  /make an offer on this domain/i,
+  /dan\.com\/buy-domain|afternic\.com\/domain|hugedomains\.com\/domain_profile/i
+];
+
+// Text and markup of registrar and parking service pages
+const PARKED_PATTERNS = [
+  /this domain (?:name )?(?:is|has been) parked/i,
+  /domain (?:is )?parked (?:free|courtesy|by)/i,
+  /parked (?:free|courtesy) of/i,
+  /this domain (?:name )?has (?:just )?been registered/i,
+  /sedoparking\.com|parkingcrew\.net|bodis\.com|parklogic\.com/i,
+  /window\.park\s*=/
+];
+
+// Text of "coming soon" placeholders and default web server pages
+const UNDER_CONSTRUCTION_PATTERNS = [
+  /under construction/i,
+  /(?:website|site|page) (?:is )?coming soon/i,
+  /^\W*coming soon\W*$/im,
+  /launching soon/i,
+  /future home of/i,
+  /welcome to nginx/i,
+  /apache2? [\w ]*default page/i,
+  /^\s*it works!?\s*$/i,
+  /default (?:web ?site|web server) page/i,
+  /^\s*index of \//i
+];
+
+// Placeholder pages are short; a real site mentioning "coming soon" in an article is not
+const MAX_PLACEHOLDER_HTML_LENGTH = 50000;
+const MAX_UNDER_CONSTRUCTION_TEXT_LENGTH = 1500;
+
+// Classify a fetched homepage. redirectChain lists the URLs requested on the way to finalUrl.
+function classifySiteStatus({ html, finalUrl, redirectChain }) {
+  const urls = [...(redirectChain || []).map(hop => hop.url), finalUrl].filter(Boolean);
+
+  if (urls.some(url => MARKETPLACE_URL_PATTERNS.some(pattern => pattern.test(url)))) {
+    return 'marketplace-redirect';
+  }
+  if (urls.some(url => PARKING_URL_PATTERNS.some(pattern => pattern.test(url)))) {
+    return 'parked';
+  }
+
+  if (!html || html.length > MAX_PLACEHOLDER_HTML_LENGTH) return 'active';
+
+  if (FOR_SALE_PATTERNS.some(pattern => pattern.test(html))) return 'for-sale';
+  if (PARKED_PATTERNS.some(pattern => pattern.test(html))) return 'parked';
+
+  const text = visibleText(html);
+  if (text.length <= MAX_UNDER_CONSTRUCTION_TEXT_LENGTH &&
+      UNDER_CONSTRUCTION_PATTERNS.some(pattern => pattern.test(text))) {
+    return 'under-construction';
+  }
+
+  return 'active';
+}
+
+// Status of a crawl result or crawling_results.csv row, including results saved
+// before the status was recorded. Domains skipped for politeness reasons have none.
+function siteStatusOf(result) {
+  if (!result || isTrue(result.skipped)) return null;
+  if (result.siteStatus) return result.siteStatus;
+  // Older results reported parked domains as a failure category
+  if (result.errorCategory === 'parked') return 'parked';
+  return isTrue(result.success) ? 'active' : 'unreachable';
+}
+
+// Booleans read back from CSV are "1" / "" (or "true" / "false")
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Whether a host is a domain marketplace or parking service, the host a
+// placeholder domain redirects to rather than another site of the company
+function isPlaceholderHost(host) {
+  const url = `https://${host}/`;
+  return [...MARKETPLACE_URL_PATTERNS, ...PARKING_URL_PATTERNS].some(pattern => pattern.test(url));
+}
+
+function isPlaceholderStatus(status) {
+  return PLACEHOLDER_STATUSES.includes(status);
+}
+
+function visibleText(html) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, template').remove();
+  return $('body').text().replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+module.exports = {
+  SITE_STATUSES,
+  PLACEHOLDER_STATUSES,
+  classifySiteStatus,
+  isPlaceholderHost,
+  siteStatusOf,
+  isPlaceholderStatus
+};
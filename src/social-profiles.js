@@ -0,0 +1,240 @@
+// Social media profile URLs: recognise the platform, drop share / intent /
+// plugin links, and reduce each profile to a canonical URL plus its handle or page id
+
+// First path segments that are platform features rather than profiles
+const FACEBOOK_RESERVED = [
+  'sharer', 'sharer.php', 'share', 'share.php', 'dialog', 'plugins', 'tr', 'events', 'groups',
+  'hashtag', 'watch', 'login', 'login.php', 'help', 'policies', 'privacy', 'photo.php', 'photo',
+  'photos', 'story.php', 'permalink.php', 'l.php', 'home.php', 'legal', 'business', 'ads', 'marketplace',
+  'gaming', 'search', 'settings', 'messages', 'notes', 'video.php', 'media', 'fundraisers', 'v2.0', 'v3.0'
+];
+const INSTAGRAM_RESERVED = ['p', 'reel', 'reels', 'explore', 'accounts', 'stories', 'tv', 'direct', 'about', 'legal', 'developer', 'embed.js'];
+const TWITTER_RESERVED = [
+  'intent', 'share', 'home', 'search', 'hashtag', 'i', 'login', 'signup', 'privacy', 'tos',
+  'explore', 'settings', 'messages', 'notifications', 'compose', 'widgets', 'widgets.js', 'oauth'
+];
+const TIKTOK_RESERVED = ['embed', 'share', 'tag', 'music', 'discover', 'login', 'legal', 'video'];
+const PINTEREST_RESERVED = ['pin', 'search', 'ideas', 'login', 'business', 'today', 'explore'];
+const GITHUB_RESERVED = [
+  'features', 'about', 'pricing', 'login', 'join', 'sponsors', 'marketplace', 'explore', 'topics',
+  'collections', 'trending', 'enterprise', 'site', 'security', 'contact', 'settings', 'apps', 'orgs'
+];
+const TELEGRAM_RESERVED = ['share', 'joinchat', 'addstickers', 's', 'iv'];
+
+const HANDLE_REGEX = /^[A-Za-z0-9._-]+$/;
+
+// Platforms in the order they appear in socialProfiles. Each parser gets the
+// URL's path segments and query and returns { handle, id } or null.
+const PLATFORMS = {
+  facebook: {
+    hosts: ['facebook.com', 'fb.com', 'fb.me'],
+    parse(segments, query) {
+      const [first, second, third] = segments;
+      if (!first) return null;
+
+      if (first === 'profile.php') {
+        const id = query.get('id');
+        return id && /^\d+$/.test(id) ? { handle: id, id } : null;
+      }
+      // facebook.com/pages/Some-Name/123456789, facebook.com/people/Some-Name/123456789
+      if (['pages', 'people', 'pg'].includes(first.toLowerCase())) {
+        if (third && /^\d+$/.test(third)) return { handle: third, id: third };
+        return second && first.toLowerCase() === 'pg' ? facebookHandle(second) : null;
+      }
+      if (FACEBOOK_RESERVED.includes(first.toLowerCase())) return null;
+
+      return facebookHandle(first);
+    },
+    url: ({ handle, id }) => (id && handle === id
+      ? `https://www.facebook.com/profile.php?id=${id}`
+      : `https://www.facebook.com/${handle}`)
+  },
+  linkedin: {
+    hosts: ['linkedin.com'],
+    parse(segments) {
+      const [first, second] = segments;
+      if (!['company', 'school', 'showcase'].includes((first || '').toLowerCase()) || !second) return null;
+      const handle = second.toLowerCase();
+      return HANDLE_REGEX.test(handle) ? { handle, type: first.toLowerCase() } : null;
+    },
+    url: ({ handle, type }) => `https://www.linkedin.com/${type}/${handle}`
+  },
+  instagram: {
+    hosts: ['instagram.com', 'instagr.am'],
+    parse: segments => simpleHandle(segments[0], INSTAGRAM_RESERVED),
+    url: ({ handle }) => `https://www.instagram.com/${handle}`
+  },
+  twitter: {
+    hosts: ['twitter.com', 'x.com'],
+    parse(segments) {
+      const profile = simpleHandle(segments[0], TWITTER_RESERVED);
+      return profile && /^[a-z0-9_]{1,15}$/.test(profile.handle) ? profile : null;
+    },
+    url: ({ handle }) => `https://x.com/${handle}`
+  },
+  youtube: {
+    hosts: ['youtube.com'],
+    parse(segments) {
+      const [first, second] = segments;
+      if (!first) return null;
+      if (first.startsWith('@') && first.length > 1) return { handle: first.toLowerCase() };
+      // Channel ids are case-sensitive
+      if (first === 'channel' && second && /^UC[\w-]{22}$/.test(second)) return { handle: second, id: second };
+      if (['c', 'user'].includes(first) && second && HANDLE_REGEX.test(second)) return { handle: second.toLowerCase(), type: first };
+      return null;
+    },
+    url: ({ handle, id, type }) => {
+      if (id) return `https://www.youtube.com/channel/${id}`;
+      if (type) return `https://www.youtube.com/${type}/${handle}`;
+      return `https://www.youtube.com/${handle}`;
+    }
+  },
+  tiktok: {
+    hosts: ['tiktok.com'],
+    parse(segments) {
+      const first = segments[0] || '';
+      if (!first.startsWith('@') || first.length < 2 || TIKTOK_RESERVED.includes(first)) return null;
+      // Video links (/@handle/video/123) belong to the profile they were posted from
+      return { handle: first.toLowerCase() };
+    },
+    url: ({ handle }) => `https://www.tiktok.com/${handle}`
+  },
+  pinterest: {
+    hosts: ['pinterest.com'],
+    parse: segments => simpleHandle(segments[0], PINTEREST_RESERVED),
+    url: ({ handle }) => `https://www.pinterest.com/${handle}`
+  },
+  github: {
+    hosts: ['github.com'],
+    parse(segments) {
+      // github.com/orgs/<org> is the organization's page too
+      const name = segments[0] === 'orgs' ? segments[1] : segments[0];
+      return simpleHandle(name, segments[0] === 'orgs' ? [] : GITHUB_RESERVED);
+    },
+    url: ({ handle }) => `https://github.com/${handle}`
+  },
+  telegram: {
+    hosts: ['t.me', 'telegram.me'],
+    parse: segments => simpleHandle(segments[0], TELEGRAM_RESERVED),
+    url: ({ handle }) => `https://t.me/${handle}`
+  }
+};
+
+function facebookHandle(segment) {
+  const handle = segment.toLowerCase();
+  if (!HANDLE_REGEX.test(handle) || handle.endsWith('.php')) return null;
+
+  // Vanity names generated from a page title end in the page id: "Some-Business-101932885163238"
+  const pageId = handle.match(/-(\d{10,})$/);
+  return pageId ? { handle, id: pageId[1] } : { handle };
+}
+
+function simpleHandle(segment, reserved) {
+  if (!segment) return null;
+  const handle = segment.replace(/^@/, '').toLowerCase();
+  if (!handle || reserved.includes(handle) || !HANDLE_REGEX.test(handle)) return null;
+  return { handle };
+}
+
+// Platform of a hostname. Subdomains (www., m., locale codes like de.) are only
+// stripped when more than two labels remain, so fb.com and fb.me stay whole.
+function platformForHost(hostname) {
+  const lower = hostname.toLowerCase();
+  const host = lower.split('.').length > 2
+    ? lower.replace(/^(www|m|mobile|web|business|[a-z]{2}(-[a-z]{2})?)\./, '')
+    : lower;
+  return Object.keys(PLATFORMS).find(platform =>
+    PLATFORMS[platform].hosts.some(domain => host === domain || host.endsWith(`.${domain}`)));
+}
+
+// Parse a social media URL (or "facebook.com/name" without a scheme).
+// Returns { platform, url, handle, id? }, or null for anything that isn't a profile.
+function parseSocialProfile(input) {
+  if (!input) return null;
+
+  let url;
+  try {
+    const text = String(input).trim();
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text.replace(/^\/+/, '')}`);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+  const platform = platformForHost(url.hostname);
+  if (!platform) return null;
+
+  const segments = url.pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  });
+  const profile = PLATFORMS[platform].parse(segments, url.searchParams);
+  if (!profile) return null;
+
+  const result = {
+    platform,
+    url: PLATFORMS[platform].url(profile),
+    handle: profile.handle
+  };
+  if (profile.id) {
+    result.id = profile.id;
+  }
+  return result;
+}
+
+// Build the { facebook, linkedin, ... } map from a list of profile URLs.
+// The first profile per platform wins, so pass the most trusted URLs first.
+function buildSocialProfiles(urls) {
+  const profiles = {};
+  (urls || []).forEach(url => {
+    const profile = parseSocialProfile(url);
+    if (profile && !profiles[profile.platform]) {
+      const { platform, ...entry } = profile;
+      profiles[platform] = entry;
+    }
+  });
+  return profiles;
+}
+
+// Read a handle typed by an API user for a platform: a profile URL, a
+// scheme-less "facebook.com/name" or just the name
+function parseSocialHandle(input, platform) {
+  if (!input) return null;
+  const text = String(input).trim();
+
+  const profile = parseSocialProfile(text);
+  if (profile) {
+    return profile.platform === platform ? profile : null;
+  }
+  if (text.includes('/')) return null;
+
+  // YouTube and TikTok handles carry their @, the other platforms' don't
+  const name = text.replace(/^@/, '');
+  return parseSocialProfile(`https://${PLATFORMS[platform].hosts[0]}/${['youtube', 'tiktok'].includes(platform) ? `@${name}` : name}`);
+}
+
+// ElasticSearch mapping for the socialProfiles object
+function socialProfilesMapping() {
+  const properties = {};
+  Object.keys(PLATFORMS).forEach(platform => {
+    properties[platform] = {
+      properties: {
+        url: { type: 'keyword' },
+        handle: { type: 'keyword' },
+        id: { type: 'keyword' }
+      }
+    };
+  });
+  return { properties };
+}
+
+module.exports = {
+  SOCIAL_PLATFORMS: Object.keys(PLATFORMS),
+  parseSocialProfile,
+  buildSocialProfiles,
+  parseSocialHandle,
+  socialProfilesMapping
+};
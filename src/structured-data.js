@@ -0,0 +1,366 @@
+// Structured data extraction: schema.org Organization / LocalBusiness entities
+// from JSON-LD, microdata and RDFa
+const SCHEMA_ORG_PREFIX_REGEX = /^(?:https?:\/\/schema\.org\/|schema:)/i;
+
+// schema.org types we treat as "the company". Subtypes not listed here are
+// caught by the suffix check in isOrganizationType.
+const ORGANIZATION_TYPES = new Set([
+  'Organization',
+  'Corporation',
+  'LocalBusiness',
+  'NGO',
+  'EducationalOrganization',
+  'MedicalOrganization',
+  'SportsOrganization',
+  'Restaurant',
+  'Store',
+  'Dentist',
+  'Physician',
+  'Attorney',
+  'LegalService',
+  'Notary',
+  'Plumber',
+  'Electrician',
+  'RoofingContractor',
+  'HVACBusiness',
+  'GeneralContractor',
+  'HousePainter',
+  'Locksmith',
+  'MovingCompany',
+  'AutoRepair',
+  'AutoDealer',
+  'RealEstateAgent',
+  'InsuranceAgency',
+  'AccountingService',
+  'FinancialService',
+  'EmergencyService',
+  'TravelAgency',
+  'Hotel',
+  'Motel',
+  'BedAndBreakfast',
+  'Bakery',
+  'CafeOrCoffeeShop',
+  'BarOrPub',
+  'Winery',
+  'Brewery',
+  'HairSalon',
+  'BeautySalon',
+  'DaySpa',
+  'Pharmacy',
+  'Optician',
+  'VeterinaryCare',
+  'ChildCare',
+  'DryCleaningOrLaundry',
+  'PlaceOfWorship',
+  'BuddhistTemple',
+  'Church'
+]);
+// Not "Service": schema.org Service and most of its subtypes (TaxiService,
+// BroadcastService) describe an offering, not the company offering it
+const ORGANIZATION_TYPE_SUFFIX_REGEX = /(Business|Organization|Store|Establishment|Agency|Contractor)$/;
+
+function isOrganizationType(type) {
+  const name = stripSchemaPrefix(type);
+  return ORGANIZATION_TYPES.has(name) || ORGANIZATION_TYPE_SUFFIX_REGEX.test(name);
+}
+
+function stripSchemaPrefix(value) {
+  return String(value || '').trim().replace(SCHEMA_ORG_PREFIX_REGEX, '');
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Text value of a JSON-LD / microdata property, which may be a plain value,
+// a {"@value": ...} literal or an object with a name
+function textValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') {
+    return textValue(value['@value'] !== undefined ? value['@value'] : (value.name || value['@id'] || ''));
+  }
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+// Extract every organization-like entity on a page
+function extractStructuredData($) {
+  return [
+    ...extractJsonLd($),
+    ...extractMicrodata($),
+    ...extractRdfa($)
+  ];
+}
+
+// JSON-LD
+
+function extractJsonLd($) {
+  const organizations = [];
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    const data = parseJsonLd($(element).html());
+    if (!data) return;
+
+    collectJsonLdNodes(data).forEach(node => {
+      if (toArray(node['@type']).some(isOrganizationType)) {
+        organizations.push(normalizeOrganization(node, 'json-ld'));
+      }
+    });
+  });
+
+  return organizations;
+}
+
+// JSON-LD blocks in the wild are often wrapped in comments or CDATA markers
+function parseJsonLd(text) {
+  if (!text) return null;
+
+  const attempts = [
+    text,
+    text
+      .replace(/<!--|-->/g, '')
+      .replace(/\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>|<!\[CDATA\[|\]\]>/g, '')
+      .replace(/[\u0000-\u001f]+/g, ' ')
+      .replace(/,\s*([}\]])/g, '$1')
+  ];
+
+  for (const attempt of attempts) {
+    try {
+      return JSON.parse(attempt);
+    } catch (e) {
+      // Try the next, more forgiving variant
+    }
+  }
+
+  return null;
+}
+
+// Walk a JSON-LD document (arrays, @graph and nested objects) and return every node
+function collectJsonLdNodes(data, nodes = [], depth = 0) {
+  if (!data || typeof data !== 'object' || depth > 10) return nodes;
+
+  if (Array.isArray(data)) {
+    data.forEach(item => collectJsonLdNodes(item, nodes, depth + 1));
+    return nodes;
+  }
+
+  if (data['@type']) {
+    nodes.push(data);
+  }
+
+  Object.keys(data).forEach(key => {
+    // Addresses and geo belong to their parent node
+    if (key === 'address' || key === 'geo') return;
+    if (data[key] && typeof data[key] === 'object') {
+      collectJsonLdNodes(data[key], nodes, depth + 1);
+    }
+  });
+
+  return nodes;
+}
+
+// Microdata and RDFa
+
+function extractMicrodata($) {
+  const organizations = [];
+
+  $('[itemscope][itemtype]').each((_, element) => {
+    const types = ($(element).attr('itemtype') || '').split(/\s+/).filter(Boolean);
+    if (!types.some(isOrganizationType)) return;
+
+    // Nested organizations (e.g. a parentOrganization) are read as part of their parent
+    if (!$(element).attr('itemprop')) {
+      organizations.push(normalizeOrganization(readItem($, element, MICRODATA), 'microdata'));
+    }
+  });
+
+  return organizations;
+}
+
+function extractRdfa($) {
+  const organizations = [];
+
+  $('[typeof]').each((_, element) => {
+    const types = ($(element).attr('typeof') || '').split(/\s+/).filter(Boolean);
+    if (!types.some(isOrganizationType)) return;
+
+    if (!$(element).attr('property')) {
+      organizations.push(normalizeOrganization(readItem($, element, RDFA), 'rdfa'));
+    }
+  });
+
+  return organizations;
+}
+
+const MICRODATA = { scopeSelector: '[itemscope]', propAttr: 'itemprop', typeAttr: 'itemtype', isScope: ($el) => $el.is('[itemscope]') };
+const RDFA = { scopeSelector: '[typeof]', propAttr: 'property', typeAttr: 'typeof', isScope: ($el) => $el.is('[typeof]') };
+
+// Read the properties that belong to an item scope into a JSON-LD-like object
+function readItem($, root, syntax, depth = 0) {
+  const item = {
+    '@type': ($(root).attr(syntax.typeAttr) || '').split(/\s+/).filter(Boolean)
+  };
+
+  $(root).find(`[${syntax.propAttr}]`).each((_, element) => {
+    const $element = $(element);
+
+    // Only direct properties: the nearest enclosing scope must be this root
+    if ($element.parent().closest(syntax.scopeSelector)[0] !== root) return;
+
+    const names = $element.attr(syntax.propAttr).split(/\s+/).map(stripSchemaPrefix).filter(Boolean);
+    const value = syntax.isScope($element) && depth < 5
+      ? readItem($, element, syntax, depth + 1)
+      : readPropertyValue($element);
+
+    names.forEach(name => {
+      item[name] = [...toArray(item[name]), value];
+    });
+  });
+
+  return item;
+}
+
+function readPropertyValue($element) {
+  if ($element.attr('content') !== undefined) return $element.attr('content');
+  if ($element.is('a, link, area')) return $element.attr('href') || '';
+  if ($element.is('img, audio, video, source, embed, iframe')) return $element.attr('src') || '';
+  if ($element.is('time') && $element.attr('datetime')) return $element.attr('datetime');
+  if ($element.is('meta')) return $element.attr('content') || '';
+  return $element.text();
+}
+
+// Normalization
+
+// Turn a JSON-LD node (or a microdata/RDFa item read into the same shape)
+// into the fields we store
+function normalizeOrganization(node, source) {
+  const postalAddresses = toArray(node.address).map(normalizePostalAddress).filter(Boolean);
+
+  return {
+    source,
+    types: toArray(node['@type']).map(stripSchemaPrefix).filter(Boolean),
+    name: textValue(toArray(node.name)[0]),
+    legalName: textValue(toArray(node.legalName)[0]),
+    telephones: uniqueValues(toArray(node.telephone).map(value => textValue(value).replace(/^tel:/i, ''))),
+    emails: uniqueValues(toArray(node.email).map(value => textValue(value).replace(/^mailto:/i, ''))),
+    postalAddresses,
+    addresses: uniqueValues(postalAddresses.map(formatPostalAddress)),
+    sameAs: uniqueValues(toArray(node.sameAs).map(textValue).filter(value => /^https?:\/\//i.test(value))),
+    openingHours: uniqueValues(toArray(node.openingHours).flatMap(value => textValue(value).split(/\s*,\s*(?=[A-Z][a-z])/))),
+    openingHoursSpecification: toArray(node.openingHoursSpecification).map(normalizeHoursSpecification).filter(Boolean),
+    foundingDate: textValue(toArray(node.foundingDate)[0]),
+    logo: imageUrl(toArray(node.logo)[0]),
+    geo: normalizeGeo(toArray(node.geo)[0])
+  };
+}
+
+// { dayOfWeek: ['Monday', ...], opens, closes, validFrom, validThrough }
+function normalizeHoursSpecification(specification) {
+  if (!specification || typeof specification !== 'object') return null;
+
+  const field = name => textValue(toArray(specification[name])[0]);
+  const dayOfWeek = toArray(specification.dayOfWeek).map(value => stripSchemaPrefix(textValue(value))).filter(Boolean);
+  if (dayOfWeek.length === 0) return null;
+
+  return {
+    dayOfWeek,
+    opens: field('opens'),
+    closes: field('closes'),
+    validFrom: field('validFrom'),
+    validThrough: field('validThrough')
+  };
+}
+
+// URL of an image property: a plain URL or an ImageObject
+function imageUrl(value) {
+  if (value && typeof value === 'object' && !value['@value']) {
+    return textValue(toArray(value.url || value.contentUrl)[0]);
+  }
+  return textValue(value);
+}
+
+function normalizePostalAddress(address) {
+  if (!address) return null;
+
+  // Some sites put the whole address in a plain string
+  if (typeof address !== 'object') {
+    const text = textValue(address);
+    return text ? { streetAddress: text } : null;
+  }
+
+  const field = name => textValue(toArray(address[name])[0]);
+  const normalized = {
+    streetAddress: field('streetAddress'),
+    addressLocality: field('addressLocality'),
+    addressRegion: field('addressRegion'),
+    postalCode: field('postalCode'),
+    addressCountry: field('addressCountry')
+  };
+
+  return Object.values(normalized).some(Boolean) ? normalized : null;
+}
+
+function formatPostalAddress(address) {
+  const regionAndPostalCode = [address.addressRegion, address.postalCode].filter(Boolean).join(' ');
+  return [address.streetAddress, address.addressLocality, regionAndPostalCode, address.addressCountry]
+    .filter(Boolean)
+    .join(', ');
+}
+
+function normalizeGeo(geo) {
+  if (!geo || typeof geo !== 'object') return null;
+
+  const latitude = parseFloat(textValue(toArray(geo.latitude)[0]));
+  const longitude = parseFloat(textValue(toArray(geo.longitude)[0]));
+
+  if (isNaN(latitude) || isNaN(longitude)) return null;
+  return { latitude, longitude };
+}
+
+// Combine the organizations found across a site's pages into one record.
+// The first non-empty name / legal name wins; list fields are unioned.
+function mergeStructuredData(organizations) {
+  if (organizations.length === 0) return null;
+
+  const firstValue = field => {
+    const match = organizations.find(org => org[field]);
+    return match ? match[field] : '';
+  };
+  const geoMatch = organizations.find(org => org.geo);
+
+  return {
+    sources: uniqueValues(organizations.map(org => org.source)),
+    types: uniqueValues(organizations.flatMap(org => org.types)),
+    name: firstValue('name'),
+    legalName: firstValue('legalName'),
+    postalAddresses: uniquePostalAddresses(organizations.flatMap(org => org.postalAddresses)),
+    sameAs: uniqueValues(organizations.flatMap(org => org.sameAs)),
+    openingHours: uniqueValues(organizations.flatMap(org => org.openingHours)),
+    openingHoursSpecification: organizations.flatMap(org => org.openingHoursSpecification || []),
+    foundingDate: firstValue('foundingDate'),
+    logo: firstValue('logo'),
+    geo: geoMatch ? geoMatch.geo : null
+  };
+}
+
+function uniqueValues(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// Postal addresses without repeats: JSON-LD in a site's page template repeats
+// the same address on every page, sometimes with different case or spacing
+function uniquePostalAddresses(postalAddresses) {
+  const byKey = new Map();
+  postalAddresses.forEach(address => {
+    const key = formatPostalAddress(address).toLowerCase().replace(/[\s,.]+/g, ' ').trim();
+    if (!byKey.has(key)) byKey.set(key, address);
+  });
+  return [...byKey.values()];
+}
+
+module.exports = {
+  extractStructuredData,
+  mergeStructuredData,
+  isOrganizationType,
+  formatPostalAddress
+};
@@ -0,0 +1,63 @@
+const { parseAddress, fromPostalAddress } = require('../address-parser');
+
+describe('parseAddress', () => {
+  // [address, default country, expected fields]
+  const cases = [
+    ['123 Main St, Suite 4, Springfield, IL 62704', 'US',
+      { street: '123 Main St', unit: 'Suite 4', city: 'Springfield', region: 'IL', postalCode: '62704', country: 'US' }],
+    ['123 Main Street Springfield IL 62704', '',
+      { street: '123 Main Street', city: 'Springfield', region: 'IL', postalCode: '62704', country: 'US' }],
+    ['350 Fifth Avenue, New York, NY 10118-0110, USA', '',
+      { street: '350 Fifth Avenue', city: 'New York', region: 'NY', postalCode: '10118-0110', country: 'US' }],
+    ['123 Main St, Suite 4, Los Angeles, CA', 'US',
+      { street: '123 Main St', unit: 'Suite 4', city: 'Los Angeles', region: 'CA', postalCode: '', country: 'US' }],
+    ['1 Rodney Sq, Wilmington, DE', 'US',
+      { street: '1 Rodney Sq', city: 'Wilmington', region: 'DE', country: 'US' }],
+    ['1 Rodney Sq, Wilmington, DE', '',
+      { street: '1 Rodney Sq', city: 'Wilmington', region: 'DE', country: '' }],
+    ['10 Downing Street, London SW1A 2AA, United Kingdom', '',
+      { street: '10 Downing Street', city: 'London', postalCode: 'SW1A 2AA', country: 'GB' }],
+    ['221B Baker St, London, NW1 6XE', 'GB',
+      { street: '221B Baker St', city: 'London', postalCode: 'NW1 6XE', country: 'GB' }],
+    ['Friedrichstraße 43, D-10117 Berlin', 'US',
+      { street: 'Friedrichstraße 43', city: 'Berlin', postalCode: '10117', country: 'DE' }],
+    ['Unter den Linden 1, 10115 Berlin, DE', '',
+      { street: 'Unter den Linden 1', city: 'Berlin', region: '', postalCode: '10115', country: 'DE' }],
+    ['Unter den Linden 1, 10115 Berlin', 'DE',
+      { street: 'Unter den Linden 1', city: 'Berlin', postalCode: '10115', country: 'DE' }],
+    ['Stephansplatz 1, A-1010 Wien', '',
+      { street: 'Stephansplatz 1', city: 'Wien', postalCode: '1010', country: 'AT' }],
+    ['Bahnhofstrasse 1, 8001 Zürich, Switzerland', '',
+      { street: 'Bahnhofstrasse 1', city: 'Zürich', postalCode: '8001', country: 'CH' }],
+    ['12 Rue de Rivoli, 75004 Paris, France', '',
+      { street: '12 Rue de Rivoli', city: 'Paris', postalCode: '75004', country: 'FR' }],
+    ['Calle Mayor 5, 28013 Madrid, España', '',
+      { street: 'Calle Mayor 5', city: 'Madrid', postalCode: '28013', country: 'ES' }],
+    ['Via Roma 10, 00184 Roma', 'IT',
+      { street: 'Via Roma 10', city: 'Roma', postalCode: '00184', country: 'IT' }],
+    ['Damrak 1, 1012 LG Amsterdam, Nederland', '',
+      { street: 'Damrak 1', city: 'Amsterdam', postalCode: '1012 LG', country: 'NL' }],
+    ['Herengracht 1, 1015 BZ Amsterdam', 'US',
+      { street: 'Herengracht 1', city: 'Amsterdam', postalCode: '1015 BZ', country: 'NL' }]
+  ];
+
+  test.each(cases)('%s (default country %j)', (text, defaultCountry, expected) => {
+    expect(parseAddress(text, defaultCountry)).toMatchObject(expected);
+  });
+});
+
+describe('fromPostalAddress', () => {
+  test('keeps every street line out of the city', () => {
+    expect(fromPostalAddress({
+      streetAddress: '123 Main St, Suite 4',
+      addressLocality: 'Springfield',
+      addressRegion: 'IL',
+      postalCode: '62704',
+      addressCountry: 'US'
+    })).toMatchObject({ street: '123 Main St', unit: 'Suite 4', city: 'Springfield', region: 'IL', country: 'US' });
+  });
+
+  test('leaves a country name it doesn\'t know empty', () => {
+    expect(fromPostalAddress({ streetAddress: 'Av. Reforma 1', addressCountry: 'Mexico' }, 'US').country).toBe('');
+  });
+});
@@ -0,0 +1,62 @@
+const { createEntityResolver } = require('../entity-resolution');
+
+function profile(domain, name, { phones = [], emails = [] } = {}) {
+  return {
+    domain,
+    company_commercial_name: name,
+    phoneNumbersNormalized: phones,
+    emails,
+    success: true,
+    siteStatus: 'active'
+  };
+}
+
+// Entity ids by domain after resolving the profiles
+function resolveEntities(profiles) {
+  const resolver = createEntityResolver();
+  profiles.forEach(resolver.add);
+  const entityIds = {};
+  resolver.resolve().forEach(({ entityId }, domain) => {
+    entityIds[domain] = entityId;
+  });
+  return entityIds;
+}
+
+describe('entity resolution', () => {
+  test('keeps companies apart that share one identifier and an industry word', () => {
+    const entityIds = resolveEntities([
+      profile('smithplumbing.com', 'Smith Plumbing', { phones: ['+12175550142'] }),
+      profile('jonesplumbing.com', 'Jones Plumbing LLC', { phones: ['+12175550142'] })
+    ]);
+
+    expect(entityIds['smithplumbing.com']).not.toBe(entityIds['jonesplumbing.com']);
+  });
+
+  test('links profiles that share one identifier and the same distinctive name', () => {
+    const entityIds = resolveEntities([
+      profile('acme.com', 'Acme Plumbing', { phones: ['+12175550142'] }),
+      profile('acmeplumbing.net', 'Acme Plumbing & Heating Services', { phones: ['+12175550142'] })
+    ]);
+
+    expect(entityIds['acme.com']).toBe(entityIds['acmeplumbing.net']);
+  });
+
+  test('links profiles that share two identifiers whatever their names', () => {
+    const entityIds = resolveEntities([
+      profile('acme.com', 'Acme Plumbing', { phones: ['+12175550142'], emails: ['info@acme.com'] }),
+      profile('rapidrooter.com', 'Rapid Rooter', { phones: ['+12175550142'], emails: ['jobs@acme.com'] })
+    ]);
+
+    expect(entityIds['acme.com']).toBe(entityIds['rapidrooter.com']);
+  });
+
+  test('ignores name words carried by many profiles', () => {
+    const profiles = Array.from({ length: 12 }, (_, i) =>
+      profile(`springfield${i}.com`, `Springfield Widgets ${i}`, { phones: [`+1217555${String(i).padStart(4, '0')}`] }));
+    profiles.push(profile('springfield-other.com', 'Springfield Widgets', { phones: ['+12175550000'] }));
+
+    const entityIds = resolveEntities(profiles);
+
+    expect(entityIds['springfield-other.com']).not.toBe(entityIds['springfield0.com']);
+  });
+});
@@ -0,0 +1,104 @@
+// Replays the recorded crawl of a few fictional sites (src/tests/fixtures/fetch)
+// through the crawler and extractors, without network access. Re-record with
+// FETCH_MODE=record and FETCH_FIXTURE_DIR pointing at the fixture directory.
+const path = require('path');
+
+// Read when the modules are loaded, so set before requiring them
+process.env.FETCH_MODE = 'replay';
+process.env.FETCH_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'fetch');
+process.env.FETCH_RETRIES = '0';
+process.env.PAGE_ARCHIVE = 'false';
+
+const { crawlWebsite } = require('../scraper');
+const { fetchUrl } = require('../fetch-transport');
+
+describe('replayed crawl', () => {
+  let acme;
+
+  beforeAll(async () => {
+    acme = await crawlWebsite('acmeplumbing-demo.com');
+  });
+
+  test('crawls the home and contact pages', () => {
+    expect(acme.success).toBe(true);
+    expect(acme.siteStatus).toBe('active');
+    expect(acme.pagesCrawled).toEqual([
+      'https://acmeplumbing-demo.com/',
+      'https://acmeplumbing-demo.com/contact'
+    ]);
+  });
+
+  test('extracts phone numbers', () => {
+    expect(acme.phoneNumbers).toEqual(['+1 217-555-0142', '+12175550199']);
+    expect(acme.phoneRegion).toBe('US');
+  });
+
+  test('extracts emails without reading prose as an address', () => {
+    expect(acme.emails).toEqual(['info@acmeplumbing-demo.com', 'office@acmeplumbing-demo.com']);
+  });
+
+  test('normalizes social profiles', () => {
+    expect(acme.socialProfiles.facebook.handle).toBe('acmeplumbingdemo');
+    expect(acme.socialProfiles.linkedin.handle).toBe('acme-plumbing-demo');
+  });
+
+  test('parses the postal address with its unit', () => {
+    expect(acme.addresses).toEqual(['123 Main St, Suite 4, Springfield, IL 62704, US']);
+    expect(acme.postalAddresses[0]).toMatchObject({
+      unit: 'Suite 4',
+      city: 'Springfield',
+      region: 'IL',
+      postalCode: '62704',
+      country: 'US'
+    });
+  });
+
+  test('extracts company names, founding year and opening hours', () => {
+    expect(acme.companyNames.commercial).toBe('Acme Plumbing');
+    expect(acme.companyNames.legal).toBe('Acme Plumbing LLC');
+    expect(acme.yearFounded).toBe(1998);
+    expect(acme.openingHours.monday).toEqual([{ opens: '08:00', closes: '18:00' }]);
+    expect(acme.openingHours.saturday).toEqual([{ opens: '09:00', closes: '13:00' }]);
+    expect(acme.openingHours.sunday).toBeUndefined();
+  });
+
+  test('notes where every value came from', () => {
+    const home = 'https://acmeplumbing-demo.com/';
+    expect(Object.values(acme.valueSources.postalAddresses)).toEqual([
+      expect.objectContaining({ page: home, method: 'structured-data' })
+    ]);
+    expect(Object.keys(acme.valueSources.emailDetails)).toEqual(acme.emails);
+    expect(acme.valueSources.socialProfiles).toMatchObject({ page: home, method: 'structured-data' });
+    expect(acme.valueSources.openingHours).toMatchObject({ page: home, method: 'structured-data' });
+    expect(acme.valueSources.yearFounded).toMatchObject({ page: home, method: 'structured-data' });
+    expect(acme.valueSources.language).toMatchObject({ page: home, method: 'selector' });
+    expect(acme.valueSources.metaDescription).toBeUndefined();
+  });
+
+  test('follows redirects from an old domain', async () => {
+    const result = await crawlWebsite('oldacme-demo.com');
+
+    expect(result.success).toBe(true);
+    expect(result.finalHost).toBe('acmeplumbing-demo.com');
+    expect(result.redirectChain.map(hop => hop.status)).toEqual([301, 301, 200]);
+    expect(result.emails).toEqual(acme.emails);
+  });
+
+  test('classifies a parked domain', async () => {
+    const result = await crawlWebsite('parked-demo.com');
+
+    expect(result.success).toBe(false);
+    expect(result.siteStatus).toBe('parked');
+  });
+
+  test('replays a recorded network error', async () => {
+    const result = await crawlWebsite('unreachable-demo.com');
+
+    expect(result.success).toBe(false);
+    expect(result.siteStatus).toBe('unreachable');
+  });
+
+  test('fails a URL without a fixture', async () => {
+    await expect(fetchUrl('https://not-recorded-demo.com/')).rejects.toThrow();
+  });
+});
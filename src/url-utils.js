@@ -0,0 +1,47 @@
+// URL helpers shared by the crawler and the snapshot archive
+
+// Second-level labels used under country-code TLDs, as in example.co.uk or example.com.au
+const SECOND_LEVEL_LABELS = ['co', 'com', 'org', 'net', 'ac', 'gov', 'edu', 'ltd', 'plc', 'me', 'or', 'ne', 'gv'];
+
+// Hostname without a leading "www.", used to tell whether two URLs are the same site
+function siteHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function isSameSite(url, baseUrl) {
+  try {
+    return siteHost(url) === siteHost(baseUrl);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Registrable part of a hostname ("shop.example.co.uk" -> "example.co.uk"). A heuristic
+// covering generic second-level labels under country codes, not the full public suffix list.
+function registrableDomain(hostname) {
+  const labels = String(hostname || '').toLowerCase().replace(/\.$/, '').split('.').filter(Boolean);
+  if (labels.length <= 2) return labels.join('.');
+
+  const tld = labels[labels.length - 1];
+  const secondLevel = labels[labels.length - 2];
+  const keep = tld.length === 2 && SECOND_LEVEL_LABELS.includes(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+// Normalize a page URL so http/https, www and trailing slashes don't cause re-fetches
+function normalizePageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return `${siteHost(url)}${pathname}${parsed.search}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+module.exports = {
+  siteHost,
+  isSameSite,
+  registrableDomain,
+  normalizePageUrl
+};